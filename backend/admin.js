@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+
+// ════════════════════════════════════════════════════
+// 管理 API 用のヘルパー
+// ADMIN_API_KEY (環境変数) と X-Admin-Key ヘッダを照合する。未設定なら管理 API は無効
+// 手動取得は取引所ごとに ADMIN_FETCH_DEBOUNCE_SECONDS (デフォルト 60) 秒に1回まで
+// ════════════════════════════════════════════════════
+
+const DEFAULT_DEBOUNCE_SECONDS = 60;
+
+// 長さの違いで早期リターンしないよう、ハッシュ同士を定数時間で比較する
+function matchesAdminKey(given, expected) {
+  if (!given || !expected) return false;
+  const hash = value => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(hash(given), hash(expected));
+}
+
+function createAdminAuth(apiKey = process.env.ADMIN_API_KEY) {
+  return function requireAdminKey(req, res, next) {
+    if (!apiKey) {
+      return res.status(503).json({ error: '管理 API は無効です (ADMIN_API_KEY が未設定)' });
+    }
+    if (!matchesAdminKey(req.get('X-Admin-Key'), apiKey)) {
+      return res.status(401).json({ error: 'X-Admin-Key が正しくありません' });
+    }
+    next();
+  };
+}
+
+// 取引所 id ごとの最終手動取得時刻。ボタン連打で取引所APIを叩き続けないようにする
+function createFetchDebouncer(seconds = Number(process.env.ADMIN_FETCH_DEBOUNCE_SECONDS) || DEFAULT_DEBOUNCE_SECONDS) {
+  const lastTriggeredAt = new Map();
+  const windowMs = seconds * 1000;
+  return {
+    // 取得してよければ 0、待つ必要があれば残りミリ秒
+    remainingMs(exchangeId, now = Date.now()) {
+      const last = lastTriggeredAt.get(exchangeId);
+      return last == null ? 0 : Math.max(last + windowMs - now, 0);
+    },
+    mark(exchangeId, now = Date.now()) {
+      lastTriggeredAt.set(exchangeId, now);
+    },
+    // コレクタの状態ファイルとの受け渡し用 { 取引所id: 最終手動取得時刻 }
+    entries: () => Object.fromEntries(lastTriggeredAt),
+    restore(entries = {}) {
+      for (const [exchangeId, at] of Object.entries(entries)) {
+        lastTriggeredAt.set(exchangeId, Math.max(lastTriggeredAt.get(exchangeId) ?? 0, at));
+      }
+    },
+  };
+}
+
+/**
+ * 手動取得の対象を決める。取得中・デバウンス中の取引所はスキップし、開始するものは debouncer に記録する
+ * 返り値: { started: [adapter], skipped: [{ id, reason: 'in-progress' | 'debounced', retryAfterSeconds? }] }
+ */
+function planManualFetch(adapters, { isFetching, debouncer }) {
+  const started = [];
+  const skipped = [];
+  for (const adapter of adapters) {
+    const waitMs = debouncer.remainingMs(adapter.id);
+    if (isFetching(adapter.id)) {
+      skipped.push({ id: adapter.id, reason: 'in-progress' });
+    } else if (waitMs > 0) {
+      skipped.push({ id: adapter.id, reason: 'debounced', retryAfterSeconds: Math.ceil(waitMs / 1000) });
+    } else {
+      debouncer.mark(adapter.id);
+      started.push(adapter);
+    }
+  }
+  return { started, skipped };
+}
+
+/**
+ * スナップショットの間引き条件 { before?, keep? } を満たすものだけ残す（古い順の配列を想定）
+ *   before: この時刻(エポックミリ秒)より前を削除
+ *   keep:   新しい方から keep 件だけ残す
+ */
+function trimSnapshots(snapshots, { before = null, keep = null } = {}) {
+  let kept = before != null ? snapshots.filter(snap => snap.timestamp >= before) : snapshots;
+  if (keep != null) kept = keep === 0 ? [] : kept.slice(-keep);
+  return kept;
+}
+
+module.exports = { createAdminAuth, createFetchDebouncer, planManualFetch, trimSnapshots, matchesAdminKey };
@@ -0,0 +1,52 @@
+const { resolveAsset, isAlphaAsset } = require('./assets');
+const { getBaseAsset } = require('./symbols');
+
+// ════════════════════════════════════════════════════
+// 取引所横断ランキング
+// 各取引所の最新データを基軸通貨単位 (銘柄対応表 assets.js の asset) でまとめ、合計出来高(USD)で並べる
+// CEX の銘柄と同じだと確かめられない Alpha トークンは alpha:<chainId>:<contractAddress> の別の行になる
+// ════════════════════════════════════════════════════
+
+/**
+ * sources: [{ id, data }]（data は各取引所の current.data = 出来高降順）
+ * 返り値: [{ asset, displayName, quoteVolume, venueCount, venues: { [id]: { symbol, rank, quoteVolume, share, lastPrice, priceChangePercent, multiplier? } } }]
+ * share はその銘柄の合計出来高に対する各取引所の比率 (0〜1)
+ * displayName は表示名。alpha:... の行はトークンのティッカー、それ以外は asset と同じ
+ * multiplier は 1000PEPE のような倍率付き銘柄のときだけ (lastPrice はその取引所の表記のまま)
+ */
+function aggregateByAsset(sources, limit = 100) {
+  const assets = new Map();
+
+  for (const { id, data } of sources) {
+    data.forEach((item, index) => {
+      const { asset, multiplier } = resolveAsset(item, id);
+      if (!assets.has(asset)) {
+        assets.set(asset, { asset, displayName: isAlphaAsset(asset) ? getBaseAsset(item) : asset, quoteVolume: 0, venues: {} });
+      }
+      const entry = assets.get(asset);
+      // 同一取引所で同じ基軸通貨が複数ある場合は上位(=先に来た方)を採用
+      if (entry.venues[id]) return;
+      entry.venues[id] = {
+        symbol: item.symbol,
+        rank: index + 1,
+        quoteVolume: item.quoteVolume,
+        lastPrice: item.lastPrice,
+        priceChangePercent: item.priceChangePercent,
+      };
+      if (multiplier !== 1) entry.venues[id].multiplier = multiplier;
+      entry.quoteVolume += item.quoteVolume;
+    });
+  }
+
+  return [...assets.values()]
+    .sort((a, b) => b.quoteVolume - a.quoteVolume)
+    .slice(0, limit)
+    .map(entry => {
+      for (const venue of Object.values(entry.venues)) {
+        venue.share = entry.quoteVolume > 0 ? venue.quoteVolume / entry.quoteVolume : 0;
+      }
+      return { ...entry, venueCount: Object.keys(entry.venues).length };
+    });
+}
+
+module.exports = { aggregateByAsset };
@@ -0,0 +1,178 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+// ════════════════════════════════════════════════════
+// アラートルールエンジン
+// スナップショット保存のたびに PUMP 判定を行い、条件を満たした銘柄を Webhook に POST する
+// 上場・上場廃止 (listings.js) の検知も同じルール・同じ Webhook で通知する
+// ルールは ALERT_RULES_FILE (デフォルト: backend/alert-rules.json) から読み込む
+//
+// ルール: {
+//   id,                          … クールダウン管理・ログ用の一意な名前
+//   exchanges?: string[],        … 対象取引所 id。省略時は全取引所
+//   types?: ('pump' | 'listing' | 'delisting')[] … 通知する種類 (デフォルト ['pump'])
+//   minRankJump?: number,        … 前回スナップ比の順位上昇がこれ以上で発火 (デフォルト 10)
+//   includeNewEntries?: boolean, … 上位100圏外からの新規ランクインも対象にするか (デフォルト true)
+//   cooldownMinutes?: number,    … 同じ取引所×銘柄の再通知を抑止する時間 (デフォルト 120)
+//   webhooks: [{ url | urlEnv, format: 'discord' | 'slack' | 'telegram' | 'json', chatId? }]
+// }
+// ════════════════════════════════════════════════════
+
+const DEFAULT_RULES_FILE = path.join(__dirname, 'alert-rules.json');
+const DEFAULT_MIN_RANK_JUMP = 10;
+const DEFAULT_COOLDOWN_MINUTES = 120;
+const RANKING_SIZE = 100;
+const WEBHOOK_TIMEOUT_MS = 10000;
+const MAX_RECENT_ALERTS = 200;
+const DEFAULT_TYPES = ['pump'];
+// 画面の PUMP 表示もこの基準で行う（API の pumpRule で返す。フロントに同じ値を持たない）
+const PUMP_RULE = { minRankJump: DEFAULT_MIN_RANK_JUMP, rankingSize: RANKING_SIZE };
+const ALERT_TYPES = ['pump', 'listing', 'delisting'];
+
+function loadAlertRules(file = process.env.ALERT_RULES_FILE || DEFAULT_RULES_FILE) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  const parsed = JSON.parse(text);
+  const rules = Array.isArray(parsed) ? parsed : parsed.rules || [];
+  rules.forEach((rule, i) => {
+    if (!rule.id) throw new Error(`アラートルール[${i}] に id がありません`);
+    if (!rule.webhooks?.length) throw new Error(`アラートルール ${rule.id} に webhooks がありません`);
+    const unknown = (rule.types || []).filter(type => !ALERT_TYPES.includes(type));
+    if (unknown.length) throw new Error(`アラートルール ${rule.id} の types が不正です: ${unknown.join(', ')} (${ALERT_TYPES.join(' / ')})`);
+  });
+  return rules;
+}
+
+// 直前スナップ → 最新スナップの順位上昇
+// 対象は現在上位100位以内の銘柄。直前が100位より下(または未上場) = 新規ランクイン扱い
+// 画面 (VolumeTable の getPumpInfo) も API の pumpRule を受け取って同じ判定をする
+function detectPumps(snapshots, { minRankJump = DEFAULT_MIN_RANK_JUMP, includeNewEntries = true } = {}) {
+  if (snapshots.length < 2) return [];
+  const current = snapshots[snapshots.length - 1];
+  const previous = snapshots[snapshots.length - 2];
+  const pumps = [];
+  for (const [symbol, entry] of Object.entries(current.rankings)) {
+    if (entry.rank > RANKING_SIZE) continue;
+    const prevRank = previous.rankings[symbol]?.rank ?? null;
+    const isNew = prevRank == null || prevRank > RANKING_SIZE;
+    if (isNew && !includeNewEntries) continue;
+    const score = (prevRank ?? RANKING_SIZE + 1) - entry.rank;
+    if (score >= minRankJump) {
+      pumps.push({ symbol, prevRank, curRank: entry.rank, score, isNew, volume: entry.volume });
+    }
+  }
+  return pumps.sort((a, b) => b.score - a.score);
+}
+
+function formatAlertText(label, pumps) {
+  const lines = pumps.map(p => {
+    if (p.isNew) return `🆕 ${p.symbol} ${p.prevRank ? `#${p.prevRank}` : '圏外'} → #${p.curRank}`;
+    return `🔥 ${p.symbol} #${p.prevRank} → #${p.curRank} (+${p.score})`;
+  });
+  return `[${label}] PUMP検知\n${lines.join('\n')}`;
+}
+
+function formatListingText(label, events) {
+  const lines = events.map(e => {
+    const name = e.instrumentId === e.symbol ? e.symbol : `${e.instrumentId} (${e.base})`;
+    return e.type === 'listing' ? `🚀 新規上場 ${name}` : `⛔ 上場廃止 ${name}`;
+  });
+  return `[${label}] 上場・上場廃止\n${lines.join('\n')}`;
+}
+
+// Discord / Slack / Telegram / 汎用 JSON それぞれの受け口に合わせたボディ
+function buildWebhookBody(webhook, text, payload) {
+  switch (webhook.format) {
+    case 'discord':
+      return { content: text };
+    case 'slack':
+      return { text };
+    case 'telegram':
+      return { chat_id: webhook.chatId, text };
+    default:
+      return { text, ...payload };
+  }
+}
+
+function resolveWebhookUrl(webhook) {
+  return webhook.url || (webhook.urlEnv ? process.env[webhook.urlEnv] : null);
+}
+
+function createAlertEngine({ rules = [], post = (url, body) => axios.post(url, body, { timeout: WEBHOOK_TIMEOUT_MS }) } = {}) {
+  // `${ruleId}:${exchangeId}:${symbol}` → 最終通知時刻
+  const lastAlertAt = new Map();
+  const recentAlerts = [];
+
+  async function deliver(rule, text, payload) {
+    await Promise.all(rule.webhooks.map(async webhook => {
+      const url = resolveWebhookUrl(webhook);
+      if (!url) {
+        console.error(`⚠️ [alert:${rule.id}] Webhook URL が未設定です (${webhook.urlEnv || 'url'})`);
+        return;
+      }
+      try {
+        await post(url, buildWebhookBody(webhook, text, payload));
+      } catch (error) {
+        console.error(`❌ [alert:${rule.id}] Webhook 送信失敗 (${webhook.format || 'json'}): ${error.message}`);
+      }
+    }));
+  }
+
+  function remember(payload) {
+    recentAlerts.push(payload);
+    if (recentAlerts.length > MAX_RECENT_ALERTS) recentAlerts.shift();
+  }
+
+  const appliesTo = (rule, exchangeId) => !rule.exchanges || rule.exchanges.includes(exchangeId);
+  const ruleTypes = rule => rule.types || DEFAULT_TYPES;
+
+  async function handleSnapshot(exchangeId, label, snapshots, now = Date.now()) {
+    for (const rule of rules) {
+      if (!appliesTo(rule, exchangeId) || !ruleTypes(rule).includes('pump')) continue;
+
+      const cooldownMs = (rule.cooldownMinutes ?? DEFAULT_COOLDOWN_MINUTES) * 60000;
+      const pumps = detectPumps(snapshots, rule).filter(p => {
+        const last = lastAlertAt.get(`${rule.id}:${exchangeId}:${p.symbol}`);
+        return last == null || now - last >= cooldownMs;
+      });
+      if (!pumps.length) continue;
+
+      pumps.forEach(p => lastAlertAt.set(`${rule.id}:${exchangeId}:${p.symbol}`, now));
+      const payload = { type: 'pump', rule: rule.id, exchange: exchangeId, timestamp: now, alerts: pumps };
+      remember(payload);
+
+      console.log(`🚨 [alert:${rule.id}] ${label}: ${pumps.length}銘柄`);
+      await deliver(rule, formatAlertText(label, pumps), payload);
+    }
+  }
+
+  // 上場・上場廃止は1回しか検知されないのでクールダウンは無し
+  async function handleListingEvents(exchangeId, label, events, now = Date.now()) {
+    for (const rule of rules) {
+      if (!appliesTo(rule, exchangeId)) continue;
+      const matched = events.filter(e => ruleTypes(rule).includes(e.type));
+      if (!matched.length) continue;
+
+      const payload = { type: 'listing', rule: rule.id, exchange: exchangeId, timestamp: now, events: matched };
+      remember(payload);
+
+      console.log(`🚨 [alert:${rule.id}] ${label}: 上場・上場廃止 ${matched.length}件`);
+      await deliver(rule, formatListingText(label, matched), payload);
+    }
+  }
+
+  return {
+    rules,
+    handleSnapshot,
+    handleListingEvents,
+    getRecentAlerts: () => recentAlerts,
+  };
+}
+
+module.exports = { loadAlertRules, detectPumps, createAlertEngine, PUMP_RULE };
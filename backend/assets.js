@@ -0,0 +1,232 @@
+const fs = require('fs');
+const path = require('path');
+const { getBaseAsset } = require('./symbols');
+
+// ════════════════════════════════════════════════════
+// 取引所横断の銘柄対応表
+// 各取引所の銘柄を正規化した基軸通貨 (asset) と価格倍率 (multiplier) に対応付ける
+//   1000PEPEUSDT (Binance先物) → { asset: 'PEPE', multiplier: 1000 }  … 価格は PEPE 1000枚分
+//   BEAMXUSDT (Binance先物)    → { asset: 'BEAM', multiplier: 1 }     … 取引所独自のティッカー
+// 取引所横断ランキング・キムチプレミアム・銘柄詳細・ウォッチリストはこの asset で突き合わせる
+// フロントは規則を持たず、API が各銘柄に付ける asset / multiplier を使う
+//
+// 判定の順:
+//   1. Alpha トークン (chainId / contractAddress を持つオンチェーン銘柄) はティッカーが同じだけの別トークンが多いので、
+//      名前では突き合わせない。同じトークンだと確かめられるのは
+//        a. alphaContracts["<chainId>:<contractAddress>"] に載っている → その asset
+//        b. Alpha のトークンリストで Binance の現物と紐付いている (cexCoinName) → その通貨名に 2. 以降を適用
+//      のどちらかだけで、どちらにも当たらなければ alpha:<chainId>:<contractAddress> という独自の asset になる
+//      (取引所横断ランキング・キムチプレミアム・銘柄詳細・先物バッジのどれでも他の取引所の銘柄と混ざらない)
+//      CEX の銘柄と同じものとして扱いたいトークンは alphaContracts に同じ asset 名で登録する
+//   2. exchangeAliases[取引所id][名前] → aliases[名前] (完全一致)
+//   3. 倍率プレフィックス (multiplierPrefixes) を外し、外した名前に 2. を再適用
+//      notMultiplied にある名前 (数字で始まる実在のティッカー) は外さない
+//   4. どれにも当たらなければ名前そのまま
+// 対応先は 'PEPE' のような文字列か { asset, multiplier }
+//
+// 既定の表はこのファイルの DEFAULT_ASSET_MAP。チームで編集する上書きは asset-overrides.json
+// (ASSET_OVERRIDES_FILE で変更可)。起動時に1回だけ読み込み、同じキーは上書き側が優先
+// ════════════════════════════════════════════════════
+
+const DEFAULT_OVERRIDES_FILE = path.join(__dirname, 'asset-overrides.json');
+
+const DEFAULT_ASSET_MAP = {
+  // 長いものから順に試す
+  multiplierPrefixes: {
+    '1000000': 1000000,
+    '1M': 1000000,
+    '10000': 10000,
+    '1000': 1000,
+  },
+  notMultiplied: [],
+  aliases: {
+    // Binance先物が独自のティッカーで上場しているもの
+    BEAMX: 'BEAM',
+    DODOX: 'DODO',
+    LUNA2: 'LUNA',
+    // リブランド前の旧ティッカー
+    RNDR: 'RENDER',
+  },
+  exchangeAliases: {},
+  alphaContracts: {},
+};
+
+// { asset, multiplier } に揃える
+function toTarget(value, name) {
+  if (typeof value === 'string') return { asset: value.toUpperCase(), multiplier: 1 };
+  if (value && typeof value.asset === 'string') {
+    return { asset: value.asset.toUpperCase(), multiplier: Number(value.multiplier) || 1 };
+  }
+  throw new Error(`銘柄対応表 ${name} の値は文字列か { asset, multiplier } で指定してください`);
+}
+
+function upperKeys(object = {}) {
+  return Object.fromEntries(Object.entries(object).map(([key, value]) => [key.toUpperCase(), value]));
+}
+
+// EVM のアドレスは大文字小文字を区別しないので小文字に揃える（Solana などはそのまま）
+function contractKey(chainId, contractAddress) {
+  if (!chainId || !contractAddress) return null;
+  const address = /^0x[0-9a-f]+$/i.test(contractAddress) ? contractAddress.toLowerCase() : contractAddress;
+  return `${chainId}:${address}`;
+}
+
+// 確かめられない Alpha トークンの asset (alpha:<chainId>:<contractAddress>)
+const ALPHA_ASSET_PREFIX = 'alpha:';
+
+function isAlphaAsset(asset) {
+  return String(asset).toLowerCase().startsWith(ALPHA_ASSET_PREFIX);
+}
+
+// API の :asset やウォッチリストで渡された alpha:... を resolve と同じ表記に揃える
+function normalizeAlphaAsset(name) {
+  const [chainId, ...rest] = name.slice(ALPHA_ASSET_PREFIX.length).split(':');
+  const key = contractKey(chainId, rest.join(':'));
+  return `${ALPHA_ASSET_PREFIX}${key || name.slice(ALPHA_ASSET_PREFIX.length)}`;
+}
+
+function normalizeContractKeys(object = {}) {
+  return Object.fromEntries(Object.entries(object).map(([key, value]) => {
+    const [chainId, ...rest] = key.split(':');
+    return [contractKey(chainId, rest.join(':')) || key, value];
+  }));
+}
+
+// 既定の表に上書きを重ねる（キー単位。exchangeAliases は取引所ごとに重ねる）
+function mergeAssetMaps(base, override = {}) {
+  const exchangeAliases = { ...base.exchangeAliases };
+  for (const [exchangeId, aliases] of Object.entries(override.exchangeAliases || {})) {
+    exchangeAliases[exchangeId] = { ...exchangeAliases[exchangeId], ...upperKeys(aliases) };
+  }
+  return {
+    multiplierPrefixes: { ...base.multiplierPrefixes, ...upperKeys(override.multiplierPrefixes) },
+    notMultiplied: [...base.notMultiplied, ...(override.notMultiplied || []).map(n => String(n).toUpperCase())],
+    aliases: { ...base.aliases, ...upperKeys(override.aliases) },
+    exchangeAliases,
+    alphaContracts: { ...base.alphaContracts, ...normalizeContractKeys(override.alphaContracts) },
+  };
+}
+
+function loadAssetOverrides(file = process.env.ASSET_OVERRIDES_FILE || DEFAULT_OVERRIDES_FILE) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw error;
+  }
+  return JSON.parse(text);
+}
+
+function createAssetResolver(map = DEFAULT_ASSET_MAP) {
+  // 不正な値は読み込み時に弾く
+  for (const [key, value] of [
+    ...Object.entries(map.aliases),
+    ...Object.values(map.exchangeAliases).flatMap(aliases => Object.entries(aliases)),
+    ...Object.entries(map.alphaContracts),
+  ]) {
+    toTarget(value, key);
+  }
+  const prefixes = Object.entries(map.multiplierPrefixes)
+    .map(([prefix, multiplier]) => [prefix.toUpperCase(), Number(multiplier)])
+    .sort((a, b) => b[0].length - a[0].length);
+  const notMultiplied = new Set(map.notMultiplied);
+  const cache = new Map();
+
+  function lookupAlias(name, exchangeId) {
+    const value = map.exchangeAliases[exchangeId]?.[name] ?? map.aliases[name];
+    return value == null ? null : toTarget(value, name);
+  }
+
+  function stripMultiplier(name) {
+    if (notMultiplied.has(name)) return null;
+    for (const [prefix, multiplier] of prefixes) {
+      // 1000PEPE は外すが、1000 だけ・10001 のように続きが英字でないものは外さない
+      if (name.length > prefix.length && name.startsWith(prefix) && /^[A-Z]/.test(name.slice(prefix.length))) {
+        return { name: name.slice(prefix.length), multiplier };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 基軸通貨名 (取引所での表記) → { asset, multiplier }
+   * exchangeId を渡すとその取引所専用の別名も見る
+   */
+  function canonicalize(rawName, exchangeId = null) {
+    if (isAlphaAsset(String(rawName).trim())) return { asset: normalizeAlphaAsset(String(rawName).trim()), multiplier: 1 };
+    const name = String(rawName).trim().toUpperCase();
+    const cacheKey = `${exchangeId}:${name}`;
+    if (cache.has(cacheKey)) return cache.get(cacheKey);
+
+    let result = lookupAlias(name, exchangeId);
+    if (!result) {
+      const stripped = stripMultiplier(name);
+      if (stripped) {
+        const aliased = lookupAlias(stripped.name, exchangeId);
+        result = aliased
+          ? { asset: aliased.asset, multiplier: aliased.multiplier * stripped.multiplier }
+          : { asset: stripped.name, multiplier: stripped.multiplier };
+      }
+    }
+    result = result || { asset: name, multiplier: 1 };
+    cache.set(cacheKey, result);
+    return result;
+  }
+
+  // Alpha トークンが CEX の銘柄と同じだと確かめられれば { asset, multiplier }、確かめられなければ null
+  function resolveConfirmedAlpha(item, exchangeId = null) {
+    const key = contractKey(item.chainId, item.contractAddress);
+    if (key && map.alphaContracts[key] != null) return toTarget(map.alphaContracts[key], key);
+    if (item.cexCoinName) return canonicalize(item.cexCoinName, exchangeId);
+    return null;
+  }
+
+  // 取引所の銘柄 (アダプタが返す item) → { asset, multiplier }
+  function resolve(item, exchangeId = null) {
+    if (item.chainId === undefined && item.contractAddress === undefined) return canonicalize(getBaseAsset(item), exchangeId);
+    const confirmed = resolveConfirmedAlpha(item, exchangeId);
+    if (confirmed) return confirmed;
+    const key = contractKey(item.chainId, item.contractAddress) || getBaseAsset(item);
+    return { asset: `${ALPHA_ASSET_PREFIX}${key}`, multiplier: 1 };
+  }
+
+  // API で返す銘柄に asset / multiplier を付ける（multiplier は 1 以外のときだけ）
+  function annotate(data, exchangeId) {
+    return data.map(item => {
+      const { asset, multiplier } = resolve(item, exchangeId);
+      return multiplier === 1 ? { ...item, asset } : { ...item, asset, multiplier };
+    });
+  }
+
+  return { canonicalize, resolve, resolveConfirmedAlpha, annotate };
+}
+
+function createDefaultResolver() {
+  let overrides = {};
+  try {
+    overrides = loadAssetOverrides();
+  } catch (error) {
+    console.error(`❌ 銘柄対応表の上書きの読み込み失敗 (既定の表のみ使用): ${error.message}`);
+  }
+  try {
+    return createAssetResolver(mergeAssetMaps(DEFAULT_ASSET_MAP, overrides));
+  } catch (error) {
+    console.error(`❌ 銘柄対応表の上書きが不正です (既定の表のみ使用): ${error.message}`);
+    return createAssetResolver(DEFAULT_ASSET_MAP);
+  }
+}
+
+const defaultResolver = createDefaultResolver();
+
+module.exports = {
+  resolveAsset: defaultResolver.resolve,
+  resolveConfirmedAlphaAsset: defaultResolver.resolveConfirmedAlpha,
+  canonicalizeAsset: defaultResolver.canonicalize,
+  annotateAssets: defaultResolver.annotate,
+  isAlphaAsset,
+  createAssetResolver,
+  mergeAssetMaps,
+  loadAssetOverrides,
+  DEFAULT_ASSET_MAP,
+};
@@ -0,0 +1,573 @@
+const os = require('os');
+const crypto = require('crypto');
+const express = require('express');
+const { listAdapters, getAdapter, getIntervalMinutes, getListingPollSeconds } = require('./exchanges');
+const { loadAlertRules, createAlertEngine } = require('./alerts');
+const { diffInstruments, toListingEvents, createListingStore } = require('./listings');
+const { createFetchDebouncer, planManualFetch } = require('./admin');
+const { createStorage } = require('./storage');
+const { createDataStore, getJSTTimeLabel } = require('./data-store');
+const metrics = require('./metrics');
+const { rateLimiter } = require('./http');
+
+// ════════════════════════════════════════════════════
+// コレクタ（取引所データの取得 + スナップショットスケジューラ）
+// 取引所APIを叩くのはここだけ。起動時・取引所ごとのスナップショット間隔の刻み(デフォルト30分: XX:00, XX:30)・手動取得のみ
+//
+// 保存先を共有する複数のプロセスで同時に取得しないよう、リーダーロックを取れたプロセスだけが取得する
+// ロックは COLLECTOR_LOCK_TTL_SECONDS (デフォルト 60) 秒の期限付きで、その 1/3 ごとに延長する
+// 延長が止まった(プロセスが落ちた)ら、待機中の他のコレクタが期限切れ後に引き継ぐ
+//
+// 取得状況は保存先の collector status に書き出し、別プロセスの API サーバーはそれを読む
+// API サーバーからの手動取得・スナップショット削除の依頼は保存先の fetch requests 経由で受け取る
+// 取得のたびに銘柄一覧を前回と比べて上場・上場廃止を記録する (listings.js)。Upbit などは間隔を短くして別途確認する
+//
+//   node collector.js … コレクタ単体で起動 (API サーバーは COLLECTOR_MODE=external で起動する)
+//   COLLECTOR_METRICS_PORT を指定すると、そのポートで /metrics (取得回数・HTTPリクエスト数など) を返す
+// ════════════════════════════════════════════════════
+
+const LOCK_NAME = 'collector';
+const DEFAULT_LOCK_TTL_MS = (Number(process.env.COLLECTOR_LOCK_TTL_SECONDS) || 60) * 1000;
+
+function createOwnerId() {
+  return `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+}
+
+function createConfiguredAlertEngine() {
+  let rules = [];
+  try {
+    rules = loadAlertRules();
+    console.log(`🚨 アラートルール ${rules.length}件読み込み`);
+  } catch (error) {
+    console.error(`❌ アラートルールの読み込み失敗: ${error.message}`);
+  }
+  return createAlertEngine({ rules });
+}
+
+function createCollector({
+  storage,
+  dataStore,
+  alertEngine = createConfiguredAlertEngine(),
+  listingStore = createListingStore(storage),
+  lockTtlMs = DEFAULT_LOCK_TTL_MS,
+  owner = createOwnerId(),
+}) {
+  const { store } = dataStore;
+
+  // 取引所ごとの取得状況（/api/health と鮮度表示用）
+  // { 'binance-futures': { lastAttemptAt, lastSuccessAt, lastError, failingSince, consecutiveFailures, totalFailures, totalSuccesses } }
+  const fetchStatus = {};
+  // 実行中の取得。定期取得と手動取得が同じ取引所で重ならないよう、実行中なら同じ Promise を返す
+  const inFlightFetches = new Map();
+  const fetchDebouncer = createFetchDebouncer();
+  // アラートの Webhook 送信中。単発実行では終了前に待つ
+  const pendingAlerts = new Set();
+  // 取引所ごとの実行中の上場検知（同じ取引所の確認は順番に行う）
+  const listingChecks = new Map();
+
+  let leader = false;
+  let leaderSince = null;
+  let oneShot = false;
+  let stopped = false;
+  let leaderTimer = null;
+  let scheduleTimer = null;
+  let listingPollTimers = [];
+  // 次の定期取得 { at, exchanges }（管理 API で確認用）
+  let nextScheduledRun = null;
+
+  function recordFetchResult(exchangeId, error = null) {
+    const now = Date.now();
+    const status = fetchStatus[exchangeId] || (fetchStatus[exchangeId] = {
+      lastAttemptAt: null,
+      lastSuccessAt: null,
+      lastError: null,
+      failingSince: null,
+      consecutiveFailures: 0,
+      totalFailures: 0,
+      totalSuccesses: 0,
+    });
+    status.lastAttemptAt = now;
+    if (error) {
+      status.lastError = error.message;
+      status.failingSince = status.failingSince ?? now;
+      status.consecutiveFailures++;
+      status.totalFailures++;
+    } else {
+      status.lastSuccessAt = now;
+      status.failingSince = null;
+      status.consecutiveFailures = 0;
+      status.totalSuccesses++;
+    }
+  }
+
+  // 保存先に書き出す状態。API サーバーは heartbeatAt が lockTtlMs 以上古ければコレクタ停止とみなす
+  // oneShot: 単発実行 (runOnce) が書いた状態。終わればすぐ居なくなるので、API サーバーは稼働中とみなさない
+  function getStatus() {
+    return {
+      owner,
+      oneShot,
+      leaderSince,
+      heartbeatAt: Date.now(),
+      lockTtlMs,
+      nextRun: nextScheduledRun,
+      fetching: [...inFlightFetches.keys()],
+      fetchStatus,
+      manualFetchAt: fetchDebouncer.entries(),
+      rateLimits: rateLimiter.getStats(),
+      alerts: { rules: alertEngine.rules.map(r => r.id), recent: alertEngine.getRecentAlerts() },
+    };
+  }
+
+  function publishStatus() {
+    return storage.saveCollectorStatus(getStatus()).catch(error => {
+      console.error(`❌ コレクタ状態の保存失敗 (${storage.name}): ${error.message}`);
+    });
+  }
+
+  // 前のリーダー(または前回の単発実行)の取得状況を引き継ぐ（失敗回数・手動取得のデバウンスが途切れないように）
+  async function restoreStatus() {
+    const saved = await storage.loadCollectorStatus().catch(() => null);
+    if (!saved) return;
+    for (const [exchangeId, status] of Object.entries(saved.fetchStatus || {})) {
+      if (!fetchStatus[exchangeId]) fetchStatus[exchangeId] = { ...status };
+    }
+    fetchDebouncer.restore(saved.manualFetchAt);
+  }
+
+  // ════════════════════════════════════════════════════
+  // アラート（live スナップショット保存ごとに PUMP ルールを評価して Webhook 通知）
+  // 取得失敗時のスナップショットは順位が動かない/空なので評価しない（空スナップとの比較で全銘柄が新規扱いになるのも防ぐ）
+  // ════════════════════════════════════════════════════
+
+  function trackAlert(exchangeId, promise) {
+    const tracked = promise
+      .catch(error => {
+        console.error(`❌ [${exchangeId}] アラート評価エラー: ${error.message}`);
+      })
+      .finally(() => pendingAlerts.delete(tracked));
+    pendingAlerts.add(tracked);
+  }
+
+  function evaluateAlerts(exchangeId) {
+    const label = getAdapter(exchangeId)?.label || exchangeId;
+    const liveSnapshots = store[exchangeId].snapshots.filter(snap => (snap.source || 'live') === 'live');
+    trackAlert(exchangeId, alertEngine.handleSnapshot(exchangeId, label, liveSnapshots));
+  }
+
+  // ════════════════════════════════════════════════════
+  // 上場・上場廃止の検知
+  // 取得で得た銘柄一覧 (アダプタの instruments) を保存先の前回の一覧と比べ、変化があればイベントを記録して通知する
+  // listingPollSeconds のあるアダプタはスナップショットとは別にその間隔でも一覧だけを確認する
+  // ════════════════════════════════════════════════════
+
+  function checkListings(adapter, instruments) {
+    const check = (listingChecks.get(adapter.id) || Promise.resolve())
+      .then(() => runListingCheck(adapter, instruments))
+      .catch(error => {
+        console.error(`❌ [${adapter.id}] 上場検知エラー: ${error.message}`);
+      })
+      .finally(() => {
+        if (listingChecks.get(adapter.id) === check) listingChecks.delete(adapter.id);
+      });
+    listingChecks.set(adapter.id, check);
+    return check;
+  }
+
+  async function runListingCheck(adapter, instruments) {
+    if (!leader || !instruments?.length) return;
+    const previous = await storage.loadInstruments(adapter.id);
+    if (!previous) {
+      await storage.saveInstruments(adapter.id, instruments);
+      console.log(`📋 [${adapter.label}] 上場検知の基準となる銘柄一覧を保存 (${instruments.length}件)`);
+      return;
+    }
+    const diff = diffInstruments(previous, instruments);
+    if (diff.suspicious) {
+      console.warn(`⚠️ [${adapter.label}] 銘柄一覧から ${diff.delisted.length}/${previous.length}件が消えたため一時的な異常とみなし、上場検知をスキップ`);
+      return;
+    }
+    if (!diff.listed.length && !diff.delisted.length) return;
+
+    await storage.saveInstruments(adapter.id, instruments);
+    const events = toListingEvents(adapter.id, diff);
+    await listingStore.record(events);
+    console.log(`📢 [${adapter.label}] 上場 ${diff.listed.length}件 / 上場廃止 ${diff.delisted.length}件: ${events.map(e => e.instrumentId).join(', ')}`);
+    trackAlert(adapter.id, alertEngine.handleListingEvents(adapter.id, adapter.label, events));
+  }
+
+  async function pollListings(adapter) {
+    // スナップショットの取得中はその取得が一覧も確認する
+    if (!leader || inFlightFetches.has(adapter.id)) return;
+    let instruments;
+    try {
+      instruments = await metrics.withExchange(adapter.id, () => adapter.fetchInstruments());
+    } catch (error) {
+      console.error(`⚠️ [${adapter.label}] 上場確認用の銘柄一覧の取得失敗: ${error.message}`);
+      return;
+    }
+    await checkListings(adapter, instruments);
+  }
+
+  function startListingPolls() {
+    stopListingPolls();
+    for (const adapter of listAdapters()) {
+      const seconds = getListingPollSeconds(adapter);
+      if (seconds > 0) listingPollTimers.push(setInterval(() => pollListings(adapter), seconds * 1000));
+    }
+  }
+
+  function stopListingPolls() {
+    listingPollTimers.forEach(clearInterval);
+    listingPollTimers = [];
+  }
+
+  // ════════════════════════════════════════════════════
+  // 取引所データの取得（取引所ごとの取得・正規化は exchanges/ のアダプタが担当）
+  // ════════════════════════════════════════════════════
+
+  function fetchExchange(adapter) {
+    if (!inFlightFetches.has(adapter.id)) {
+      inFlightFetches.set(adapter.id, runExchangeFetch(adapter).finally(() => {
+        inFlightFetches.delete(adapter.id);
+        publishStatus();
+      }));
+    }
+    return inFlightFetches.get(adapter.id);
+  }
+
+  // 成功したら true
+  async function runExchangeFetch(adapter) {
+    const startedAt = Date.now();
+    try {
+      // 上位100で切らずに全銘柄を保存する（返す件数は API 側で絞る）
+      const result = await metrics.withExchange(adapter.id, () => adapter.fetch());
+      const { tickers, meta = {}, instruments } = Array.isArray(result) ? { tickers: result, meta: {} } : result;
+      const sorted = tickers
+        .filter(t => Number.isFinite(t.quoteVolume))
+        .sort((a, b) => b.quoteVolume - a.quoteVolume);
+
+      if (!sorted.length) throw new Error('取引所から銘柄が返されませんでした');
+
+      // 取得中にリーダーを降りていたら、新しいリーダーと二重に保存しないよう捨てる
+      if (!leader) {
+        console.warn(`⚠️ [${adapter.label}] リーダーでなくなったため取得結果を破棄`);
+        return false;
+      }
+      dataStore.saveExchangeData(adapter.id, sorted, meta);
+      recordFetchResult(adapter.id);
+      metrics.recordFetch(adapter.id, (Date.now() - startedAt) / 1000, true);
+      evaluateAlerts(adapter.id);
+      if (instruments) checkListings(adapter, instruments);
+      console.log(`✅ [${adapter.label}] ${sorted.length}銘柄取得`);
+      return true;
+    } catch (error) {
+      console.error(`[${adapter.label}] エラー: ${error.message} (code=${error.code || 'N/A'}, status=${error.response?.status || 'N/A'})`);
+      recordFetchResult(adapter.id, error);
+      metrics.recordFetch(adapter.id, (Date.now() - startedAt) / 1000, false);
+      if (leader && !(adapter.fallbackOnError && dataStore.saveSnapshotFallback(adapter.id, error))) {
+        dataStore.saveSnapshotMissing(adapter.id, error);
+      }
+      return false;
+    }
+  }
+
+  // 返り値: [{ id, ok }]
+  async function fetchAllExchanges(adapters = listAdapters()) {
+    const timeLabel = getJSTTimeLabel();
+    console.log(`\n🔄 [${timeLabel}] データ取得開始 (${adapters.map(a => a.id).join(', ')})...`);
+
+    // 取引所ごとに並列で取得（レート制限は http.js のホスト別リミッタが守る）
+    const results = await Promise.all(adapters.map(fetchExchange));
+
+    console.log(`✅ [${timeLabel}] データ取得完了\n`);
+    return adapters.map((adapter, i) => ({ id: adapter.id, ok: results[i] }));
+  }
+
+  // 手動取得（管理 API / 取得依頼）。完了は待たない
+  function requestManualFetch(adapters) {
+    const plan = planManualFetch(adapters, { isFetching: id => inFlightFetches.has(id), debouncer: fetchDebouncer });
+    if (plan.started.length) {
+      console.log(`🛠️ 手動取得: ${plan.started.map(a => a.id).join(', ')}`);
+      fetchAllExchanges(plan.started).catch(error => {
+        console.error('❌ 手動データ取得エラー:', error.message);
+      });
+    }
+    return plan;
+  }
+
+  // 管理 API のスナップショット削除。保存先を書き換えるのはリーダーのコレクタだけ
+  async function trimSnapshots(exchangeId, options) {
+    const result = await dataStore.trimSnapshots(exchangeId, options);
+    console.log(`🛠️ [${exchangeId}] スナップショット削除: メモリ ${result.memory.before} → ${result.memory.after}件`);
+    return result;
+  }
+
+  // API サーバーからの依頼 { type: 'fetch', exchanges } / { type: 'trim-snapshots', exchange, options } を取り出す
+  // (type の無い依頼は手動取得)。削除はその場で行い、手動取得を頼まれた取引所のアダプタを返す
+  async function takeRequests() {
+    let requests;
+    try {
+      requests = await storage.takeFetchRequests();
+    } catch (error) {
+      console.error(`❌ 取得依頼の読み込み失敗 (${storage.name}): ${error.message}`);
+      return [];
+    }
+    const requested = new Set();
+    for (const request of requests) {
+      if (request.type === 'trim-snapshots') {
+        await trimSnapshots(request.exchange, request.options).catch(error => {
+          console.error(`❌ [${request.exchange}] スナップショット削除エラー (${storage.name}): ${error.message}`);
+        });
+      } else {
+        (request.exchanges || []).forEach(id => requested.add(id));
+      }
+    }
+    return [...requested].map(getAdapter).filter(Boolean);
+  }
+
+  async function processRequests() {
+    const adapters = await takeRequests();
+    if (!adapters.length) return;
+    const { skipped } = requestManualFetch(adapters);
+    if (skipped.length) {
+      console.log(`🛠️ 取得依頼をスキップ: ${skipped.map(s => `${s.id} (${s.reason})`).join(', ')}`);
+    }
+  }
+
+  // ════════════════════════════════════════════════════
+  // スナップショットスケジューラ
+  // 全取引所の最短間隔の刻みで起き、その時刻が自分の間隔の刻みに当たる取引所だけ取得する
+  // (間隔は 5/15/30/60 分のいずれかなので、最短間隔の刻みは必ず他の間隔の刻みを含む)
+  // ════════════════════════════════════════════════════
+
+  function getDueAdapters(date) {
+    // JST は UTC+9 の整数時間なので UTC の分で刻みを判定してよい
+    const minuteOfDay = date.getUTCHours() * 60 + date.getUTCMinutes();
+    return listAdapters().filter(adapter => minuteOfDay % getIntervalMinutes(adapter) === 0);
+  }
+
+  function scheduleNextFetch() {
+    clearTimeout(scheduleTimer);
+    const tickMinutes = Math.min(...listAdapters().map(getIntervalMinutes));
+    const now = new Date();
+    // 次の刻みまでのミリ秒を計算（2秒バッファで確実に超える）
+    const minutesUntilNext = tickMinutes - (now.getUTCMinutes() % tickMinutes);
+    const msUntilNext =
+      minutesUntilNext * 60000 -
+      now.getSeconds() * 1000 -
+      now.getMilliseconds() +
+      2000; // 2秒バッファ
+
+    const nextTime = new Date(now.getTime() + msUntilNext);
+    const nextJST = new Date(nextTime.getTime() + 9 * 60 * 60 * 1000);
+    const due = getDueAdapters(nextTime);
+    nextScheduledRun = { at: nextTime.getTime(), exchanges: due.map(a => a.id) };
+    console.log(`⏰ 次のデータ取得: ${String(nextJST.getUTCHours()).padStart(2, '0')}:${String(nextJST.getUTCMinutes()).padStart(2, '0')} (${Math.round(msUntilNext / 1000)}秒後, ${due.length}取引所)`);
+    publishStatus();
+
+    scheduleTimer = setTimeout(async () => {
+      if (!leader) return;
+      try {
+        if (due.length) await fetchAllExchanges(due);
+      } catch (err) {
+        console.error('❌ 定期データ取得エラー:', err.message);
+      }
+      // 完了後、次の刻みを再計算してスケジュール（ドリフトしない）
+      if (leader) scheduleNextFetch();
+    }, msUntilNext);
+  }
+
+  // ════════════════════════════════════════════════════
+  // リーダーロック
+  // ════════════════════════════════════════════════════
+
+  async function becomeLeader() {
+    leader = true;
+    leaderSince = Date.now();
+    console.log(`👑 コレクタのリーダーになりました (${owner})`);
+    try {
+      // 待機中に他のリーダーが書いた分を取り込んでから取得する（出来高差分を正しく計算するため）
+      await dataStore.sync();
+      await restoreStatus();
+    } catch (error) {
+      console.error(`❌ 保存データの取り込み失敗 (${storage.name}): ${error.message}`);
+    }
+    startListingPolls();
+    console.log('📸 起動時データ取得中...');
+    fetchAllExchanges()
+      .catch(error => console.error('❌ 起動時データ取得エラー:', error.message))
+      .finally(() => {
+        if (leader) scheduleNextFetch();
+      });
+  }
+
+  function stepDown(reason) {
+    leader = false;
+    leaderSince = null;
+    clearTimeout(scheduleTimer);
+    stopListingPolls();
+    nextScheduledRun = null;
+    console.warn(`⚠️ コレクタのリーダーを降りました: ${reason}`);
+  }
+
+  async function leaderTick() {
+    let acquired = false;
+    try {
+      acquired = await storage.tryAcquireLock(LOCK_NAME, owner, lockTtlMs);
+    } catch (error) {
+      console.error(`❌ リーダーロックの取得・延長失敗 (${storage.name}): ${error.message}`);
+    }
+    if (stopped) return;
+
+    if (acquired && !leader) {
+      await becomeLeader();
+    } else if (!acquired && leader) {
+      stepDown('ロックを延長できませんでした');
+    } else if (!acquired && leaderSince === null && !leaderTimer) {
+      const holder = await storage.readLock(LOCK_NAME).catch(() => null);
+      console.log(`⏸️ 他のコレクタが稼働中のため待機します (${holder?.owner || '不明'})`);
+    }
+    if (leader) {
+      await publishStatus();
+      await processRequests();
+    }
+    leaderTimer = setTimeout(leaderTick, lockTtlMs / 3);
+  }
+
+  // 常駐: リーダーロックを取れるまで待ち、取れたら取得とスケジュールを始める
+  function start() {
+    stopped = false;
+    leaderTick();
+  }
+
+  async function stop() {
+    stopped = true;
+    clearTimeout(leaderTimer);
+    clearTimeout(scheduleTimer);
+    stopListingPolls();
+    if (leader) {
+      leader = false;
+      await storage.releaseLock(LOCK_NAME, owner).catch(() => {});
+      console.log('👋 リーダーロックを解放しました');
+    }
+  }
+
+  // 単発実行: ロックが取れたら1回だけ取得して保存し、ロックを返す
+  // 常駐のコレクタが居ない間に API サーバーが置いた依頼もここで片付ける (手動取得を頼まれた取引所も取得する)
+  // 他のコレクタが稼働中なら { acquired: false, holder }
+  async function runOnce(adapters = listAdapters()) {
+    if (!(await storage.tryAcquireLock(LOCK_NAME, owner, lockTtlMs))) {
+      return { acquired: false, holder: await storage.readLock(LOCK_NAME) };
+    }
+    leader = true;
+    leaderSince = Date.now();
+    oneShot = true;
+    // 取得がロックの期限より長引いても奪われないよう延長し続ける。延長できなければ以降の取得結果は保存しない
+    const renewTimer = setInterval(async () => {
+      const renewed = await storage.tryAcquireLock(LOCK_NAME, owner, lockTtlMs).catch(() => false);
+      if (!renewed && leader) {
+        leader = false;
+        console.warn('⚠️ リーダーロックを延長できなかったため、以降の取得結果は保存しません');
+      }
+    }, lockTtlMs / 3);
+    try {
+      await restoreStatus();
+      const requested = await takeRequests();
+      const results = await fetchAllExchanges([...adapters, ...requested.filter(a => !adapters.includes(a))]);
+      await Promise.all([...listingChecks.values()]);
+      await Promise.all([...pendingAlerts]);
+      await dataStore.flush();
+      await publishStatus();
+      return { acquired: true, results };
+    } finally {
+      clearInterval(renewTimer);
+      leader = false;
+      leaderSince = null;
+      oneShot = false;
+      await storage.releaseLock(LOCK_NAME, owner);
+    }
+  }
+
+  return {
+    owner,
+    start,
+    stop,
+    runOnce,
+    isLeader: () => leader,
+    getStatus,
+    isFetching: id => inFlightFetches.has(id),
+    manualFetchRemainingMs: id => fetchDebouncer.remainingMs(id),
+    requestManualFetch,
+    trimSnapshots,
+  };
+}
+
+// 別プロセスのコレクタを API サーバーから見るための窓口（createCollector と同じ形で読み取り・手動取得依頼ができる）
+function createCollectorClient(storage) {
+  let status = null;
+  const fetchDebouncer = createFetchDebouncer();
+  const isFetching = id => !!status?.fetching?.includes(id);
+
+  return {
+    async refresh() {
+      status = await storage.loadCollectorStatus();
+      fetchDebouncer.restore(status?.manualFetchAt);
+    },
+    isLeader: () => false,
+    getStatus: () => status,
+    isFetching,
+    manualFetchRemainingMs: id => fetchDebouncer.remainingMs(id),
+    // 依頼を保存先に置くだけ。コレクタは次のロック延長時 (最大 lockTtlMs/3 後) に拾う
+    async requestManualFetch(adapters) {
+      const plan = planManualFetch(adapters, { isFetching, debouncer: fetchDebouncer });
+      if (plan.started.length) {
+        await storage.pushFetchRequest({ type: 'fetch', exchanges: plan.started.map(a => a.id), requestedAt: Date.now() });
+      }
+      return { ...plan, queued: true };
+    },
+    // 削除も依頼を置くだけ。API サーバーのメモリは、コレクタが書き直した保存先を次の sync() で読み直して反映される
+    async trimSnapshots(exchangeId, options) {
+      await storage.pushFetchRequest({ type: 'trim-snapshots', exchange: exchangeId, options, requestedAt: Date.now() });
+      return { queued: true };
+    },
+  };
+}
+
+// 常駐のコレクタが生きているか（状態が lockTtlMs 以内に更新されているか。単発実行の状態は数えない）
+function isCollectorAlive(status, now = Date.now()) {
+  return !!status && !status.oneShot && now - status.heartbeatAt < status.lockTtlMs;
+}
+
+module.exports = { createCollector, createCollectorClient, isCollectorAlive };
+
+// ── コレクタ単体起動 ──
+if (require.main === module) {
+  const storage = createStorage();
+  if (!storage.shared) {
+    console.warn(`⚠️ STORAGE_BACKEND=${storage.name} は他のプロセスと共有できません。API サーバーからはデータが見えません`);
+  }
+  const dataStore = createDataStore(storage);
+  const collector = createCollector({ storage, dataStore });
+
+  dataStore.load()
+    .catch(error => console.error(`❌ 保存データの復元失敗 (${storage.name}): ${error.message}`))
+    .then(() => collector.start());
+
+  const metricsPort = process.env.COLLECTOR_METRICS_PORT;
+  if (metricsPort) {
+    const app = express();
+    app.get('/metrics', (req, res) => {
+      metrics.updateExchangeGauges(listAdapters().map(a => a.id), dataStore.store, collector.getStatus().fetchStatus);
+      res.type('text/plain; version=0.0.4; charset=utf-8').send(metrics.renderMetrics());
+    });
+    app.listen(metricsPort, () => console.log(`📈 コレクタのメトリクス: http://localhost:${metricsPort}/metrics`));
+  }
+
+  // 停止時にロックを返し、待機中のコレクタがすぐ引き継げるようにする
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, async () => {
+      await collector.stop();
+      process.exit(0);
+    });
+  }
+}
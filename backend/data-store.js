@@ -0,0 +1,275 @@
+const { EventEmitter } = require('events');
+const { computeVolumeMetrics } = require('./volume-metrics');
+const { computeOpenInterestChange } = require('./open-interest');
+const { trimSnapshots: trimSnapshotList } = require('./admin');
+
+// ════════════════════════════════════════════════════
+// データストア
+// 各取引所の「最新データ」+「スナップショット履歴」を保持
+// 書き込むのはコレクタ (collector.js) だけ (管理 API のスナップショット削除もコレクタ経由)。API サーバーは読むだけで、
+// コレクタが別プロセスなら保存先の更新を sync() で取り込む
+// スナップショットはメモリ・保存先とも直近 SNAPSHOT_RETENTION_DAYS 日分を保持
+// 保存先の古い分は、コレクタが SNAPSHOT_PRUNE_INTERVAL_MS ごと (と起動後の最初の保存時) にファイルを書き直して捨てる
+// 上位100位より下の銘柄も全て保持し、圏外からのランクインでも実際の前回順位が分かるようにする
+// ただしメモリ上では、SNAPSHOT_FULL_RANKINGS_HOURS 時間より古いスナップショットは上位 TRIMMED_RANKINGS_SIZE 位までに絞る
+// (出来高差分・PUMP 判定が見るのは直近だけ。それより前の下位銘柄の履歴は保存先のファイルにだけ残る)
+// ════════════════════════════════════════════════════
+
+const SNAPSHOT_RETENTION_MS = (Number(process.env.SNAPSHOT_RETENTION_DAYS) || 14) * 24 * 60 * 60 * 1000;
+const FULL_RANKINGS_MS = (Number(process.env.SNAPSHOT_FULL_RANKINGS_HOURS) || 24) * 60 * 60 * 1000;
+// API で選べる上位件数の最大 (?limit=200) と揃える
+const TRIMMED_RANKINGS_SIZE = 200;
+const SNAPSHOT_PRUNE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+function getJSTTimeLabel() {
+  const now = new Date();
+  const jst = new Date(now.getTime() + 9 * 60 * 60 * 1000);
+  return `${String(jst.getUTCHours()).padStart(2, '0')}:${String(jst.getUTCMinutes()).padStart(2, '0')}`;
+}
+
+function createDataStore(storage) {
+  // { 'binance-futures': { current: { data: [...], timestamp, meta }, snapshots: [ { time, timestamp, source, error?, ...meta, rankings } ] } }
+  // meta はアダプタが返す付加情報 (Upbit の換算レート conversion など)
+  // snapshot.source: 'live' = 取得成功 / 'fallback' = 取得失敗で前回データを複製 / 'missing' = 取得失敗で空
+  // (source の無い古いスナップショットは live 扱い)
+  const store = {};
+
+  // 新しいスナップショットが保存(または sync で取り込み)されるたびに 'snapshot' を発火（SSE 配信用）
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+
+  // sync() で最後に読んだ時点の保存先のバージョンと、取引所ごとのスナップショットのファイルの読み終えた位置
+  let versions = {};
+  const cursors = {};
+  // 書き込み中の永続化。flush() で待てる
+  const pending = new Set();
+  // 取引所ごとの書き込みの順番待ち（追記と間引きの書き直しを重ねない）
+  const writeQueues = new Map();
+  // 取引所ごとの最後に保存先を間引いた時刻
+  const lastPrunedAt = {};
+  // メモリ上で上位 TRIMMED_RANKINGS_SIZE 位までに絞ったスナップショット
+  const trimmedSnapshots = new WeakSet();
+
+  // 取引所ごとに書き込みを順番に実行し、write の結果を返す
+  function enqueueWrite(exchangeId, write) {
+    const run = (writeQueues.get(exchangeId) || Promise.resolve()).then(write);
+    const settled = run
+      .catch(() => {})
+      .finally(() => {
+        pending.delete(settled);
+        if (writeQueues.get(exchangeId) === settled) writeQueues.delete(exchangeId);
+      });
+    writeQueues.set(exchangeId, settled);
+    pending.add(settled);
+    return run;
+  }
+
+  // 永続化は fire-and-forget。書き込み失敗でメモリ上のデータ更新は止めない
+  function persist(exchangeId, write) {
+    enqueueWrite(exchangeId, write).catch(error => {
+      console.error(`❌ [${exchangeId}] 永続化エラー (${storage.name}): ${error.message}`);
+    });
+  }
+
+  function trimRankings(snapshot) {
+    if (trimmedSnapshots.has(snapshot)) return snapshot;
+    const rankings = {};
+    for (const [symbol, entry] of Object.entries(snapshot.rankings)) {
+      if (entry.rank <= TRIMMED_RANKINGS_SIZE) rankings[symbol] = entry;
+    }
+    const trimmed = { ...snapshot, rankings };
+    trimmedSnapshots.add(trimmed);
+    return trimmed;
+  }
+
+  // 古い順に並んでいるので、新しい方から見て絞り済みに当たったらそれより前も絞り済み
+  function trimOldRankings(exchangeId, now = Date.now()) {
+    const snapshots = store[exchangeId].snapshots;
+    const cutoff = now - FULL_RANKINGS_MS;
+    for (let i = snapshots.length - 1; i >= 0; i--) {
+      if (snapshots[i].timestamp >= cutoff) continue;
+      if (trimmedSnapshots.has(snapshots[i])) break;
+      snapshots[i] = trimRankings(snapshots[i]);
+    }
+  }
+
+  // 保存先からの読み込み条件。保持期間内だけを読み、古いものは1件ずつ絞りながら読む（全銘柄分を一度に抱えない）
+  function loadOptions(now = Date.now()) {
+    return {
+      since: now - SNAPSHOT_RETENTION_MS,
+      mapSnapshot: snap => (snap.timestamp < now - FULL_RANKINGS_MS ? trimRankings(snap) : snap),
+    };
+  }
+
+  function ensureExchange(exchangeId) {
+    if (!store[exchangeId]) store[exchangeId] = { current: null, snapshots: [] };
+    return store[exchangeId];
+  }
+
+  // saved.incremental なら前回読んだ続き (追記分) なので今のスナップショットに足す
+  // (自分で保存した分を読み直すこともあるので、同じ時刻のものは足さない)
+  function restore(exchangeId, saved) {
+    const cutoff = Date.now() - SNAPSHOT_RETENTION_MS;
+    const previous = saved.incremental ? store[exchangeId]?.snapshots || [] : [];
+    const known = new Set(previous.map(snap => snap.timestamp));
+    store[exchangeId] = {
+      current: saved.current || null,
+      snapshots: [...previous, ...(saved.snapshots || []).filter(snap => !known.has(snap.timestamp))]
+        .filter(snap => snap.timestamp >= cutoff)
+        .sort((a, b) => a.timestamp - b.timestamp),
+    };
+    if (saved.cursor) cursors[exchangeId] = saved.cursor;
+    trimOldRankings(exchangeId);
+  }
+
+  function emitSnapshot(exchangeId, snapshot) {
+    events.emit('snapshot', { exchange: exchangeId, time: snapshot.time, timestamp: snapshot.timestamp, source: snapshot.source });
+  }
+
+  async function load() {
+    const loaded = await storage.load(loadOptions());
+    for (const [exchangeId, saved] of Object.entries(loaded)) {
+      restore(exchangeId, saved);
+      console.log(`💾 [${exchangeId}] 復元: スナップショット ${store[exchangeId].snapshots.length}件${store[exchangeId].current ? ' + 最新データ' : ''}`);
+    }
+    versions = await storage.getVersions();
+  }
+
+  // 別プロセスのコレクタが書いた分を取り込む。バージョンが変わった取引所だけ、前回読んだ位置の続きから読む
+  // (コレクタの間引きでファイルが置き換わっていれば読み直し)。増えたスナップショットは 'snapshot' イベントで流す
+  async function sync() {
+    const latest = await storage.getVersions();
+    const changed = [];
+    for (const [exchangeId, version] of Object.entries(latest)) {
+      if (versions[exchangeId] === version) continue;
+      const saved = await storage.loadExchange(exchangeId, { ...loadOptions(), after: cursors[exchangeId] });
+      if (!saved) continue;
+      const lastTimestamp = store[exchangeId]?.snapshots.at(-1)?.timestamp ?? -Infinity;
+      restore(exchangeId, saved);
+      store[exchangeId].snapshots
+        .filter(snap => snap.timestamp > lastTimestamp)
+        .forEach(snap => emitSnapshot(exchangeId, snap));
+      changed.push(exchangeId);
+    }
+    versions = latest;
+    return changed;
+  }
+
+  function pushSnapshot(exchangeId, snapshot) {
+    const snapshots = store[exchangeId].snapshots;
+    snapshots.push(snapshot);
+    // メモリ上は保持期間を過ぎたものから捨てる
+    while (snapshots.length && snapshots[0].timestamp < snapshot.timestamp - SNAPSHOT_RETENTION_MS) {
+      snapshots.shift();
+    }
+    trimOldRankings(exchangeId, snapshot.timestamp);
+    persist(exchangeId, () => storage.appendSnapshot(exchangeId, snapshot));
+    pruneStorage(exchangeId, snapshot.timestamp);
+    emitSnapshot(exchangeId, snapshot);
+  }
+
+  // 保存先からも保持期間を過ぎたスナップショットを捨てる (書き込むコレクタだけが呼ぶ)
+  function pruneStorage(exchangeId, now = Date.now()) {
+    if (now - (lastPrunedAt[exchangeId] ?? -Infinity) < SNAPSHOT_PRUNE_INTERVAL_MS) return;
+    lastPrunedAt[exchangeId] = now;
+    persist(exchangeId, async () => {
+      const result = await storage.pruneSnapshots(exchangeId, { before: now - SNAPSHOT_RETENTION_MS });
+      if (result && result.after < result.before) {
+        console.log(`🧹 [${exchangeId}] 保持期間を過ぎたスナップショットを削除: ${result.before} → ${result.after}件`);
+      }
+    });
+  }
+
+  function saveExchangeData(exchangeId, rawData, meta = {}) {
+    if (!rawData?.length) return;
+    const s = ensureExchange(exchangeId);
+
+    // 前回スナップショットとの出来高差分・加速度、建玉の変化を付与してから保存
+    // 出来高は失敗したスナップを空白として扱う (volume-metrics.js)。建玉は取得できたスナップの最後と比べる
+    const liveSnapshots = s.snapshots.filter(snap => (snap.source || 'live') === 'live');
+    const data = computeOpenInterestChange(computeVolumeMetrics(rawData, s.snapshots), liveSnapshots);
+
+    const timeLabel = getJSTTimeLabel();
+    const rankings = {};
+    data.forEach((item, index) => {
+      rankings[item.symbol] = {
+        rank: index + 1,
+        volume: item.quoteVolume,
+        volumeDelta: item.volumeDelta,
+        volumeAccel: item.volumeAccel,
+      };
+      if (item.openInterest != null) {
+        rankings[item.symbol].openInterest = item.openInterest;
+        rankings[item.symbol].openInterestChange = item.openInterestChange;
+      }
+    });
+
+    // 最新データを保存
+    s.current = { data, timestamp: Date.now(), meta };
+    const current = s.current;
+    persist(exchangeId, () => storage.saveCurrent(exchangeId, current));
+
+    // スナップショットを追加
+    pushSnapshot(exchangeId, { time: timeLabel, timestamp: Date.now(), source: 'live', ...meta, rankings });
+
+    console.log(`📸 [${exchangeId}] データ保存: ${timeLabel} (スナップショット ${s.snapshots.length}件)`);
+  }
+
+  // API失敗時に前回データでスナップショットだけ保存する
+  function saveSnapshotFallback(exchangeId, error) {
+    const s = store[exchangeId];
+    if (!s?.current?.data?.length) return false;
+
+    const timeLabel = getJSTTimeLabel();
+    const rankings = {};
+    s.current.data.forEach((item, index) => {
+      rankings[item.symbol] = { rank: index + 1, volume: item.quoteVolume };
+    });
+
+    pushSnapshot(exchangeId, { time: timeLabel, timestamp: Date.now(), source: 'fallback', error: error.message, ...s.current.meta, rankings });
+
+    console.log(`⚠️ [${exchangeId}] フォールバック: 前回データでスナップショット保存 ${timeLabel} (計${s.snapshots.length}件)`);
+    return true;
+  }
+
+  // フォールバックしない取引所(または前回データも無い場合)は、取得できなかったことだけを空のスナップショットで残す
+  function saveSnapshotMissing(exchangeId, error) {
+    ensureExchange(exchangeId);
+    const timeLabel = getJSTTimeLabel();
+    pushSnapshot(exchangeId, { time: timeLabel, timestamp: Date.now(), source: 'missing', error: error.message, rankings: {} });
+    console.log(`⚠️ [${exchangeId}] 取得失敗: 空のスナップショットを記録 ${timeLabel}`);
+  }
+
+  // 管理 API のスナップショット削除 (options は admin.js の trimSnapshots と同じ)。メモリと保存先の両方に適用する
+  // 保存先の書き直しは追記と同じ順番待ちに並べるので、書き直し中の保存が消えることはない
+  // 返り値: { memory: { before, after }, storage: { before, after } | null }
+  async function trimSnapshots(exchangeId, options) {
+    const s = store[exchangeId];
+    const memory = { before: s?.snapshots.length || 0, after: 0 };
+    if (s) {
+      s.snapshots = trimSnapshotList(s.snapshots, options);
+      memory.after = s.snapshots.length;
+    }
+    const persisted = await enqueueWrite(exchangeId, () => storage.pruneSnapshots(exchangeId, options));
+    return { memory, storage: persisted };
+  }
+
+  // 書き込み中の永続化がすべて終わるまで待つ（単発実行の CLI が終了する前に使う）
+  async function flush() {
+    while (pending.size) await Promise.all([...pending]);
+  }
+
+  return {
+    store,
+    events,
+    load,
+    sync,
+    flush,
+    saveExchangeData,
+    saveSnapshotFallback,
+    saveSnapshotMissing,
+    trimSnapshots,
+  };
+}
+
+module.exports = { createDataStore, getJSTTimeLabel, SNAPSHOT_RETENTION_MS };
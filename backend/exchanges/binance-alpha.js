@@ -0,0 +1,72 @@
+const { createApiClient, fetchWithRetry } = require('../http');
+
+// ════════════════════════════════════════════════════
+// Binance Alpha
+// ════════════════════════════════════════════════════
+
+const binanceAlphaApiBase = createApiClient('https://www.binance.com');
+
+let alphaTokenList = null;
+
+// トークンリストの数値は文字列で入っている。欠けている・数値でないものは null
+function toNumberOrNull(value) {
+  if (value == null || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+async function fetchAlphaTokenList() {
+  try {
+    const response = await fetchWithRetry(
+      binanceAlphaApiBase,
+      '/bapi/defi/v1/public/wallet-direct/buw/wallet/cex/alpha/all/token/list'
+    );
+    alphaTokenList = response.data.data || [];
+    return alphaTokenList;
+  } catch (error) {
+    return alphaTokenList || [];
+  }
+}
+
+async function fetchBinanceAlpha() {
+  const alphaTokens = await fetchAlphaTokenList();
+  if (!alphaTokens.length) throw new Error('Alphaトークンリストが取得できません');
+
+  // Alphaトークンリスト自身に volume24h / price / percentChange24h が入っているのでそれを直接使う
+  // (以前は Binance先物 /fapi/v1/ticker/24hr とクロス参照していたため Binance先物と同じ出来高になっていた)
+  return alphaTokens
+    .filter(t => !t.offline && t.volume24h && parseFloat(t.volume24h) > 0)
+    .map(t => ({
+      symbol: (t.symbol || '').toUpperCase() + 'USDT',
+      displayName: (t.symbol || '').toUpperCase(),
+      lastPrice: parseFloat(t.price || 0),
+      priceChangePercent: parseFloat(t.percentChange24h || 0),
+      quoteVolume: parseFloat(t.volume24h || 0),
+      // 同名の別トークンと区別するための識別子（銘柄対応表 assets.js の alphaContracts で使う）
+      chainId: t.chainId || null,
+      contractAddress: t.contractAddress || null,
+      // Binance の現物に上場済みならその通貨名（先物との突き合わせ futures-listing.js で使う）
+      cexCoinName: t.listingCex && t.cexCoinName ? String(t.cexCoinName).toUpperCase() : null,
+      // 表の絞り込み・銘柄詳細用のトークン情報（リストに無ければ null）
+      chainName: t.chainName || null,
+      marketCap: toNumberOrNull(t.marketCap),
+      holders: toNumberOrNull(t.holders),
+      listingTime: toNumberOrNull(t.listingTime),
+    }));
+}
+
+module.exports = {
+  id: 'binance-alpha',
+  order: 40,
+  label: 'Binance Alpha',
+  shortLabel: 'Alpha',
+  description: 'Binance Alpha 先物',
+  icon: '⚡',
+  color: '#e040fb',
+  badgeText: 'ALPHA',
+  currency: 'USD',
+  legacyRoutes: ['/api/binance/alpha/top100'],
+  fallbackOnError: true,
+  futuresListingReference: 'binance-futures',
+  fetch: fetchBinanceAlpha,
+};
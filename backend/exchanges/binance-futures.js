@@ -0,0 +1,115 @@
+const { createApiClient, fetchWithRetry } = require('../http');
+
+// ════════════════════════════════════════════════════
+// Binance 先物 (USDT-M)
+// ════════════════════════════════════════════════════
+
+const binanceApi = createApiClient('https://fapi.binance.com', 30000);
+
+// 取引中の USDT 建て銘柄の一覧
+let activeInstruments = null;
+
+// 建玉は銘柄ごとのエンドポイントしか無いので出来高上位だけ取得する (weight 1 × 件数)
+const OPEN_INTEREST_SYMBOL_LIMIT = 100;
+const OPEN_INTEREST_CONCURRENCY = 5;
+
+async function fetchBinanceActiveSymbols() {
+  try {
+    const response = await fetchWithRetry(binanceApi, '/fapi/v1/exchangeInfo');
+    activeInstruments = response.data.symbols
+      .filter(s => s.status === 'TRADING' && s.symbol.endsWith('USDT'))
+      .map(s => ({ symbol: s.symbol, base: s.baseAsset, instrumentId: s.symbol, listingTime: s.onboardDate || null }));
+    return { instruments: activeInstruments, fresh: true };
+  } catch (error) {
+    return { instruments: activeInstruments, fresh: false };
+  }
+}
+
+// 全銘柄の資金調達率・マーク価格 (premiumIndex は symbol 省略で全件返る)
+async function fetchPremiumIndex() {
+  try {
+    const response = await fetchWithRetry(binanceApi, '/fapi/v1/premiumIndex');
+    return new Map(response.data.map(p => [p.symbol, p]));
+  } catch (error) {
+    console.error(`[Binance先物] 資金調達率の取得失敗: ${error.message}`);
+    return new Map();
+  }
+}
+
+// 建玉 (USD換算) を symbols 分だけ並列数を絞って取得。個別の失敗は null にして全体は止めない
+async function fetchOpenInterests(symbols, markPrices) {
+  const result = new Map();
+  let next = 0;
+  async function worker() {
+    while (next < symbols.length) {
+      const symbol = symbols[next++];
+      try {
+        const response = await fetchWithRetry(binanceApi, `/fapi/v1/openInterest?symbol=${symbol}`, 2);
+        const contracts = parseFloat(response.data.openInterest);
+        const markPrice = markPrices.get(symbol);
+        result.set(symbol, markPrice ? contracts * markPrice : null);
+      } catch (error) {
+        result.set(symbol, null);
+      }
+    }
+  }
+  await Promise.all(Array.from({ length: OPEN_INTEREST_CONCURRENCY }, worker));
+  return result;
+}
+
+async function fetchBinanceFutures() {
+  const { instruments, fresh } = await fetchBinanceActiveSymbols();
+  // 銘柄 → 上場日時 (onboardDate)
+  const tradingSymbols = instruments && new Map(instruments.map(i => [i.symbol, i.listingTime]));
+  const tickerResponse = await fetchWithRetry(binanceApi, '/fapi/v1/ticker/24hr');
+  const tickers = tickerResponse.data
+    .filter(t => {
+      if (!t.symbol.endsWith('USDT')) return false;
+      return tradingSymbols ? tradingSymbols.has(t.symbol) : true;
+    })
+    .map(t => ({
+      symbol: t.symbol,
+      lastPrice: parseFloat(t.lastPrice),
+      priceChangePercent: parseFloat(t.priceChangePercent),
+      quoteVolume: parseFloat(t.quoteVolume),
+      listingTime: tradingSymbols?.get(t.symbol) ?? null,
+    }));
+
+  const premiumIndex = await fetchPremiumIndex();
+  const markPrices = new Map(
+    [...premiumIndex.values()].map(p => [p.symbol, parseFloat(p.markPrice)])
+  );
+  const oiSymbols = [...tickers]
+    .sort((a, b) => b.quoteVolume - a.quoteVolume)
+    .slice(0, OPEN_INTEREST_SYMBOL_LIMIT)
+    .map(t => t.symbol);
+  const openInterests = await fetchOpenInterests(oiSymbols, markPrices);
+
+  return {
+    tickers: tickers.map(t => {
+      const premium = premiumIndex.get(t.symbol);
+      return {
+        ...t,
+        fundingRate: premium ? parseFloat(premium.lastFundingRate) : null,
+        nextFundingTime: premium ? premium.nextFundingTime : null,
+        openInterest: openInterests.get(t.symbol) ?? null,
+      };
+    }),
+    instruments: fresh ? instruments : undefined,
+  };
+}
+
+module.exports = {
+  id: 'binance-futures',
+  order: 10,
+  label: 'Binance先物',
+  shortLabel: 'BN先物',
+  description: 'Binance USDT-M 先物',
+  icon: '₿',
+  color: '#f0b90b',
+  badgeText: 'TOP 100',
+  currency: 'USD',
+  legacyRoutes: ['/api/volume/top100'],
+  fallbackOnError: true,
+  fetch: fetchBinanceFutures,
+};
@@ -0,0 +1,34 @@
+const { createApiClient, fetchWithRetry } = require('../http');
+
+// ════════════════════════════════════════════════════
+// Bitget 現物
+// ════════════════════════════════════════════════════
+
+const bitgetApi = createApiClient('https://api.bitget.com');
+
+async function fetchBitgetSpot() {
+  const response = await fetchWithRetry(bitgetApi, '/api/v2/spot/market/tickers');
+  return response.data.data
+    .filter(t => t.symbol.endsWith('USDT'))
+    .map(t => ({
+      symbol: t.symbol,
+      lastPrice: parseFloat(t.lastPr || 0),
+      priceChangePercent: parseFloat(t.change24h || 0) * 100,
+      quoteVolume: parseFloat(t.usdtVolume || t.quoteVolume || 0),
+    }));
+}
+
+module.exports = {
+  id: 'bitget-spot',
+  order: 20,
+  label: 'Bitget現物',
+  shortLabel: 'Bitget',
+  description: 'Bitget 現物',
+  icon: '🟢',
+  color: '#00d991',
+  badgeText: 'TOP 100',
+  currency: 'USD',
+  legacyRoutes: ['/api/bitget/spot/top100'],
+  fallbackOnError: false,
+  fetch: fetchBitgetSpot,
+};
@@ -0,0 +1,79 @@
+const { createApiClient, fetchWithRetry } = require('../http');
+
+// ════════════════════════════════════════════════════
+// Bybit 無期限 (USDT リニア)
+// ════════════════════════════════════════════════════
+
+const bybitApi = createApiClient('https://api.bybit.com');
+
+// 取引中の USDT 無期限の一覧
+let tradingInstruments = null;
+
+// Bybit は retCode !== 0 でも HTTP 200 を返すので中身で判定する
+function assertBybitOk(response) {
+  if (response.data.retCode !== 0) throw new Error(`Bybit API エラー: ${response.data.retMsg || response.data.retCode}`);
+  return response.data.result;
+}
+
+async function fetchBybitTradingSymbols() {
+  try {
+    const instruments = [];
+    let cursor = '';
+    do {
+      const query = `/v5/market/instruments-info?category=linear&limit=1000${cursor ? `&cursor=${encodeURIComponent(cursor)}` : ''}`;
+      const result = assertBybitOk(await fetchWithRetry(bybitApi, query));
+      result.list
+        .filter(i => i.status === 'Trading' && i.quoteCoin === 'USDT' && i.contractType === 'LinearPerpetual')
+        .forEach(i => instruments.push({
+          symbol: i.symbol,
+          base: i.baseCoin,
+          instrumentId: i.symbol,
+          listingTime: Number(i.launchTime) || null,
+        }));
+      cursor = result.nextPageCursor;
+    } while (cursor);
+    tradingInstruments = instruments;
+    return { instruments: tradingInstruments, fresh: true };
+  } catch (error) {
+    return { instruments: tradingInstruments, fresh: false };
+  }
+}
+
+// price24hPcnt は比率 ('0.0123' = +1.23%)、turnover24h が USDT 建て出来高
+function normalizeBybitTickers(tickers, tradingSymbols) {
+  return tickers
+    .filter(t => {
+      if (!t.symbol.endsWith('USDT')) return false;
+      return tradingSymbols ? tradingSymbols.has(t.symbol) : true;
+    })
+    .map(t => ({
+      symbol: t.symbol,
+      lastPrice: parseFloat(t.lastPrice || 0),
+      priceChangePercent: parseFloat(t.price24hPcnt || 0) * 100,
+      quoteVolume: parseFloat(t.turnover24h || 0),
+    }));
+}
+
+async function fetchBybitLinear() {
+  const { instruments, fresh } = await fetchBybitTradingSymbols();
+  const result = assertBybitOk(await fetchWithRetry(bybitApi, '/v5/market/tickers?category=linear'));
+  return {
+    tickers: normalizeBybitTickers(result.list, instruments && new Set(instruments.map(i => i.symbol))),
+    instruments: fresh ? instruments : undefined,
+  };
+}
+
+module.exports = {
+  id: 'bybit-linear',
+  order: 60,
+  label: 'Bybit先物',
+  shortLabel: 'Bybit',
+  description: 'Bybit USDT 無期限',
+  icon: '🟠',
+  color: '#f7a600',
+  badgeText: 'TOP 100',
+  currency: 'USD',
+  fallbackOnError: true,
+  fetch: fetchBybitLinear,
+  normalizeTickers: normalizeBybitTickers,
+};
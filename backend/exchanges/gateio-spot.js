@@ -0,0 +1,66 @@
+const { createApiClient, fetchWithRetry } = require('../http');
+
+// ════════════════════════════════════════════════════
+// Gate.io 現物
+// ════════════════════════════════════════════════════
+
+const gateApi = createApiClient('https://api.gateio.ws');
+
+// 取引可能な USDT 建てペアの一覧
+let tradablePairs = null;
+
+// buy_start は秒
+async function fetchGateTradablePairs() {
+  try {
+    const response = await fetchWithRetry(gateApi, '/api/v4/spot/currency_pairs');
+    tradablePairs = response.data
+      .filter(p => p.quote === 'USDT' && p.trade_status === 'tradable')
+      .map(p => ({ symbol: `${p.base}USDT`, base: p.base, instrumentId: p.id, listingTime: Number(p.buy_start) * 1000 || null }));
+    return { instruments: tradablePairs, fresh: true };
+  } catch (error) {
+    return { instruments: tradablePairs, fresh: false };
+  }
+}
+
+// 'BTC_USDT' → { symbol: 'BTCUSDT', displayName: 'BTC' }。change_percentage は % 表記
+function normalizeGateTickers(tickers, tradablePairs) {
+  return tickers
+    .filter(t => {
+      if (!t.currency_pair.endsWith('_USDT')) return false;
+      return tradablePairs ? tradablePairs.has(t.currency_pair) : true;
+    })
+    .map(t => {
+      const base = t.currency_pair.slice(0, -'_USDT'.length);
+      return {
+        symbol: `${base}USDT`,
+        displayName: base,
+        lastPrice: parseFloat(t.last || 0),
+        priceChangePercent: parseFloat(t.change_percentage || 0),
+        quoteVolume: parseFloat(t.quote_volume || 0),
+      };
+    });
+}
+
+async function fetchGateSpot() {
+  const { instruments, fresh } = await fetchGateTradablePairs();
+  const response = await fetchWithRetry(gateApi, '/api/v4/spot/tickers');
+  return {
+    tickers: normalizeGateTickers(response.data, instruments && new Set(instruments.map(i => i.instrumentId))),
+    instruments: fresh ? instruments : undefined,
+  };
+}
+
+module.exports = {
+  id: 'gateio-spot',
+  order: 70,
+  label: 'Gate.io現物',
+  shortLabel: 'Gate',
+  description: 'Gate.io 現物',
+  icon: '🔵',
+  color: '#2354e6',
+  badgeText: 'TOP 100',
+  currency: 'USD',
+  fallbackOnError: false,
+  fetch: fetchGateSpot,
+  normalizeTickers: normalizeGateTickers,
+};
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+
+// ════════════════════════════════════════════════════
+// 取引所アダプタ レジストリ
+// このディレクトリの *.js (index.js 以外) を1取引所=1アダプタとして読み込む
+// 新しい取引所は、下記インターフェースを満たすモジュールを1つ追加するだけでよい
+//
+// アダプタ: {
+//   id, order,                   … API の :exchange 名 / タブ・取得順
+//   label, shortLabel, description, icon, color, badgeText, currency … フロントのタブ表示用
+//   nativeCurrency?: 'KRW',      … 現地通貨建てでも表示できる取引所。fetch() は USD 換算値に加えて *Krw の値を返す
+//   kimchiPremiumReference?: id  … この取引所の価格との乖離(キムチプレミアム)を銘柄ごとに付ける
+//   futuresListingReference?: id … この先物取引所に同じトークンの契約があれば銘柄ごとに futuresSymbol を付ける (futures-listing.js)
+//   legacyRoutes?: string[],     … /api/:id/top100 以外に残す旧エンドポイント
+//   fallbackOnError: boolean,    … 取得失敗時に前回データでスナップショットを埋めるか
+//   intervalMinutes?: 5 | 15 | 30 | 60 … スナップショット間隔 (デフォルト 30)。環境変数で上書き可
+//   fetch(): Promise<[{ symbol, lastPrice, priceChangePercent, quoteVolume, displayName? }]>
+//                                … 正規化済み・未ソートの全銘柄を返す。失敗時は throw
+//                                  スナップショットに残したい付加情報があれば { tickers, meta } の形で返す
+//                                  (meta はスナップショットと最新データにそのまま載る。例: 換算レート conversion)
+//                                  取引可能な銘柄の一覧を今回取得できたら instruments も返す。前回の一覧と比べて
+//                                  上場・上場廃止を記録する (listings.js)
+//                                  instruments: [{ symbol, base, instrumentId, listingTime? }]
+//                                  (instrumentId は取引所での表記。例: 'KRW-BTC' / 'BTC-USDT-SWAP')
+//   fetchInstruments?(): Promise<instruments> … 銘柄一覧だけを取得。失敗時は throw
+//   listingPollSeconds?: number  … スナップショットとは別に fetchInstruments() で上場を確認する間隔。環境変数で上書き可 (0 で無効)
+//   normalizeTickers?(tickers, instruments) … 生レスポンス → fetch() と同じ形式（test/exchanges.test.js で記録済みレスポンスを検証）
+// }
+//
+// 銘柄一覧 (instruments) を取得するアダプタの決まりごと:
+//   一覧の取得は { instruments, fresh } を返す関数にまとめ、失敗しても throw せず前回取得できた一覧を返す (fresh: false)
+//   ティッカーはその一覧で取引中の銘柄に絞る（一覧の取得だけ失敗しても前回の一覧で絞り続ける。一度も取れていないときの扱いはアダプタごと）
+//   fetch() の instruments は fresh のときだけ返す。前回の一覧を返すと上場検知が古い一覧で比べ直すことになる
+// ════════════════════════════════════════════════════
+
+const REQUIRED_FIELDS = ['id', 'label', 'fetch'];
+const ALLOWED_INTERVALS = [5, 15, 30, 60];
+const DEFAULT_INTERVAL_MINUTES = 30;
+
+function validateAdapter(adapter, file) {
+  for (const field of REQUIRED_FIELDS) {
+    if (!adapter[field]) throw new Error(`アダプタ ${file} に ${field} がありません`);
+  }
+  if (typeof adapter.fetch !== 'function') throw new Error(`アダプタ ${file} の fetch が関数ではありません`);
+}
+
+function loadAdapters(dir = __dirname) {
+  const adapters = fs.readdirSync(dir)
+    .filter(file => file.endsWith('.js') && file !== 'index.js')
+    .map(file => {
+      const adapter = require(path.join(dir, file));
+      validateAdapter(adapter, file);
+      return adapter;
+    })
+    .sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity));
+
+  const ids = new Set();
+  for (const adapter of adapters) {
+    if (ids.has(adapter.id)) throw new Error(`アダプタ id が重複しています: ${adapter.id}`);
+    ids.add(adapter.id);
+  }
+  return adapters;
+}
+
+const adapters = loadAdapters();
+
+function listAdapters() {
+  return adapters;
+}
+
+function getAdapter(id) {
+  return adapters.find(a => a.id === id) || null;
+}
+
+// 優先順: SNAPSHOT_INTERVAL_<ID> (例: SNAPSHOT_INTERVAL_BINANCE_FUTURES=15) > アダプタの intervalMinutes
+//        > SNAPSHOT_INTERVAL_MINUTES > 30
+function getIntervalMinutes(adapter) {
+  const envKey = `SNAPSHOT_INTERVAL_${adapter.id.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+  const candidates = [process.env[envKey], adapter.intervalMinutes, process.env.SNAPSHOT_INTERVAL_MINUTES];
+  for (const value of candidates) {
+    if (value === undefined || value === '') continue;
+    const minutes = Number(value);
+    if (ALLOWED_INTERVALS.includes(minutes)) return minutes;
+    console.error(`⚠️ [${adapter.id}] 未対応のスナップショット間隔 ${value} (${ALLOWED_INTERVALS.join('/')}分のみ)`);
+  }
+  return DEFAULT_INTERVAL_MINUTES;
+}
+
+// LISTING_POLL_SECONDS_<ID> > アダプタの listingPollSeconds。fetchInstruments が無ければ 0 (確認しない)
+function getListingPollSeconds(adapter) {
+  if (typeof adapter.fetchInstruments !== 'function') return 0;
+  const envKey = `LISTING_POLL_SECONDS_${adapter.id.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+  for (const value of [process.env[envKey], adapter.listingPollSeconds]) {
+    if (value === undefined || value === '') continue;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds) && seconds >= 0) return seconds;
+    console.error(`⚠️ [${adapter.id}] 不正な上場確認間隔 ${value}`);
+  }
+  return 0;
+}
+
+function getEndpoint(adapter) {
+  return `/api/${adapter.id}/top100`;
+}
+
+// /api/exchanges でフロントに返すメタデータ（fetch 等の実装は含めない）
+function toMeta(adapter) {
+  return {
+    id: adapter.id,
+    label: adapter.label,
+    shortLabel: adapter.shortLabel || adapter.label,
+    description: adapter.description || adapter.label,
+    icon: adapter.icon || '',
+    color: adapter.color || '#3b82f6',
+    badgeText: adapter.badgeText || 'TOP 100',
+    currency: adapter.currency || 'USD',
+    nativeCurrency: adapter.nativeCurrency || null,
+    intervalMinutes: getIntervalMinutes(adapter),
+    endpoint: getEndpoint(adapter),
+  };
+}
+
+module.exports = { listAdapters, getAdapter, getEndpoint, getIntervalMinutes, getListingPollSeconds, toMeta };
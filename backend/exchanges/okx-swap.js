@@ -0,0 +1,72 @@
+const { createApiClient, fetchWithRetry } = require('../http');
+
+// ════════════════════════════════════════════════════
+// OKX 無期限 (USDT建て SWAP)
+// ════════════════════════════════════════════════════
+
+const okxApi = createApiClient('https://www.okx.com');
+
+// 取引中の USDT 建て SWAP の一覧
+let liveInstruments = null;
+
+async function fetchOkxLiveInstruments() {
+  try {
+    const response = await fetchWithRetry(okxApi, '/api/v5/public/instruments?instType=SWAP');
+    liveInstruments = response.data.data
+      .filter(i => i.state === 'live' && i.settleCcy === 'USDT' && i.instId.endsWith('-USDT-SWAP'))
+      .map(i => {
+        const base = i.instId.split('-')[0];
+        return { symbol: `${base}USDT`, base, instrumentId: i.instId, listingTime: Number(i.listTime) || null };
+      });
+    return { instruments: liveInstruments, fresh: true };
+  } catch (error) {
+    return { instruments: liveInstruments, fresh: false };
+  }
+}
+
+// 'BTC-USDT-SWAP' → { symbol: 'BTCUSDT', displayName: 'BTC' }
+// volCcy24h は SWAP では基軸通貨建てなので最終価格を掛けて USDT 換算する
+function normalizeOkxTickers(tickers, liveInstruments) {
+  return tickers
+    .filter(t => {
+      if (!t.instId.endsWith('-USDT-SWAP')) return false;
+      return liveInstruments ? liveInstruments.has(t.instId) : true;
+    })
+    .map(t => {
+      const base = t.instId.split('-')[0];
+      const last = parseFloat(t.last || 0);
+      const open = parseFloat(t.open24h || 0);
+      return {
+        symbol: `${base}USDT`,
+        displayName: base,
+        lastPrice: last,
+        priceChangePercent: open ? ((last - open) / open) * 100 : 0,
+        quoteVolume: parseFloat(t.volCcy24h || 0) * last,
+      };
+    });
+}
+
+async function fetchOkxSwap() {
+  const { instruments, fresh } = await fetchOkxLiveInstruments();
+  const response = await fetchWithRetry(okxApi, '/api/v5/market/tickers?instType=SWAP');
+  if (response.data.code !== '0') throw new Error(`OKX API エラー: ${response.data.msg || response.data.code}`);
+  return {
+    tickers: normalizeOkxTickers(response.data.data, instruments && new Set(instruments.map(i => i.instrumentId))),
+    instruments: fresh ? instruments : undefined,
+  };
+}
+
+module.exports = {
+  id: 'okx-swap',
+  order: 50,
+  label: 'OKX先物',
+  shortLabel: 'OKX',
+  description: 'OKX USDT 無期限',
+  icon: '⚫',
+  color: '#cfd3dc',
+  badgeText: 'TOP 100',
+  currency: 'USD',
+  fallbackOnError: true,
+  fetch: fetchOkxSwap,
+  normalizeTickers: normalizeOkxTickers,
+};
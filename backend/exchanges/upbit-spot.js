@@ -0,0 +1,97 @@
+const { createApiClient, fetchWithRetry } = require('../http');
+
+// ════════════════════════════════════════════════════
+// Upbit 現物 (USD換算。KRW建ての値も lastPriceKrw / quoteVolumeKrw で返す)
+// 換算レート (1 USD = 何 KRW か) の優先順:
+//   UPBIT_KRW_PER_USD (固定値) > Upbit の KRW-USDT 価格 > UPBIT_FALLBACK_KRW_PER_USD (デフォルト 1450)
+// 使ったレートと出どころはスナップショットごとに conversion として記録する
+// KRW マーケットの新規上場は最も急ぐ知らせなので、マーケット一覧はスナップショットとは別に
+// listingPollSeconds (デフォルト 60秒) ごとにも確認する
+// ════════════════════════════════════════════════════
+
+const upbitApi = createApiClient('https://api.upbit.com');
+
+const DEFAULT_FALLBACK_KRW_PER_USD = 1450;
+
+let upbitMarketsList = null;
+
+// KRW マーケットの一覧。失敗時は throw（上場監視ではその回の確認を飛ばす）
+async function fetchUpbitInstruments() {
+  const response = await fetchWithRetry(upbitApi, '/v1/market/all?is_details=false');
+  upbitMarketsList = response.data
+    .filter(m => m.market.startsWith('KRW-'))
+    .map(m => {
+      const base = m.market.replace('KRW-', '');
+      return { symbol: `${base}USDT`, base, instrumentId: m.market };
+    });
+  return upbitMarketsList;
+}
+
+async function fetchUpbitMarkets() {
+  try {
+    return { markets: await fetchUpbitInstruments(), fresh: true };
+  } catch (error) {
+    return { markets: upbitMarketsList || [], fresh: false };
+  }
+}
+
+function resolveKrwPerUsd(tickers) {
+  const fixed = Number(process.env.UPBIT_KRW_PER_USD);
+  if (fixed > 0) return { rate: fixed, source: 'env:UPBIT_KRW_PER_USD' };
+  const usdtPrice = parseFloat(tickers.find(t => t.market === 'KRW-USDT')?.trade_price);
+  if (usdtPrice > 0) return { rate: usdtPrice, source: 'upbit:KRW-USDT' };
+  return { rate: Number(process.env.UPBIT_FALLBACK_KRW_PER_USD) || DEFAULT_FALLBACK_KRW_PER_USD, source: 'fallback' };
+}
+
+async function fetchUpbitSpot() {
+  const { markets, fresh } = await fetchUpbitMarkets();
+  if (!markets.length) throw new Error('マーケット一覧が取得できません');
+  const marketCodes = markets.map(m => m.instrumentId).join(',');
+  const response = await fetchWithRetry(upbitApi, `/v1/ticker?markets=${marketCodes}`);
+  const tickers = response.data;
+
+  const { rate, source } = resolveKrwPerUsd(tickers);
+  if (source === 'fallback') console.error(`⚠️ [Upbit] KRW-USDT が取得できないため固定レート ${rate} KRW/USD で換算`);
+
+  const normalized = tickers
+    .filter(t => t.market !== 'KRW-USDT')
+    .map(t => {
+      const base = t.market.replace('KRW-', '');
+      const priceKrw = parseFloat(t.trade_price || 0);
+      const volumeKrw = parseFloat(t.acc_trade_price_24h || 0);
+      return {
+        symbol: `${base}USDT`,
+        displayName: base,
+        lastPrice: priceKrw / rate,
+        priceChangePercent: parseFloat(t.signed_change_rate || 0) * 100,
+        quoteVolume: volumeKrw / rate,
+        lastPriceKrw: priceKrw,
+        quoteVolumeKrw: volumeKrw,
+      };
+    });
+
+  return {
+    tickers: normalized,
+    meta: { conversion: { currency: 'KRW', rate, source } },
+    instruments: fresh ? markets : undefined,
+  };
+}
+
+module.exports = {
+  id: 'upbit-spot',
+  order: 30,
+  label: 'Upbit現物',
+  shortLabel: 'Upbit',
+  description: 'Upbit 現物 (USD換算)',
+  icon: '🟣',
+  color: '#093687',
+  badgeText: 'TOP 100',
+  currency: 'USD',
+  nativeCurrency: 'KRW',
+  kimchiPremiumReference: 'binance-futures',
+  legacyRoutes: ['/api/upbit/spot/top100'],
+  fallbackOnError: false,
+  listingPollSeconds: 60,
+  fetch: fetchUpbitSpot,
+  fetchInstruments: fetchUpbitInstruments,
+};
@@ -0,0 +1,65 @@
+// ════════════════════════════════════════════════════
+// エクスポート (CSV / JSON)
+// VolumeTable と同じ並び: 現在の順位・銘柄・出来高 … + スナップショットごとの順位/出来高の列ペア
+// 時刻は JST と ISO(UTC) の両方を付ける
+// ════════════════════════════════════════════════════
+
+const JST_OFFSET_MS = 9 * 60 * 60 * 1000;
+
+// 1760880600000 → '2025-10-19 22:30 JST'
+function formatJST(timestamp) {
+  const jst = new Date(timestamp + JST_OFFSET_MS);
+  const pad = n => String(n).padStart(2, '0');
+  return `${jst.getUTCFullYear()}-${pad(jst.getUTCMonth() + 1)}-${pad(jst.getUTCDate())} ${pad(jst.getUTCHours())}:${pad(jst.getUTCMinutes())} JST`;
+}
+
+function describeTime(timestamp) {
+  return { timestamp, jst: formatJST(timestamp), utc: new Date(timestamp).toISOString() };
+}
+
+/**
+ * data: 現在の上位N (出来高降順) / snapshots: 列にするスナップショット (古い順)
+ * 返り値: { generatedAt, dataTimestamp, snapshots: [{ timestamp, jst, utc, source, conversion? }], rows: [...] }
+ * rows[].snapshots は snapshots と同じ順で { rank, volume } (その時点で居なければ null)
+ */
+function buildExport(exchangeId, { data, timestamp }, snapshots, now = Date.now()) {
+  return {
+    exchange: exchangeId,
+    generatedAt: describeTime(now),
+    dataTimestamp: describeTime(timestamp),
+    snapshots: snapshots.map(snap => ({ ...describeTime(snap.timestamp), source: snap.source || 'live', conversion: snap.conversion })),
+    rows: data.map((item, index) => ({
+      rank: index + 1,
+      symbol: item.symbol,
+      displayName: item.displayName || null,
+      lastPrice: item.lastPrice,
+      priceChangePercent: item.priceChangePercent,
+      quoteVolume: item.quoteVolume,
+      snapshots: snapshots.map(snap => {
+        const entry = snap.rankings[item.symbol];
+        return entry ? { rank: entry.rank, volume: entry.volume } : null;
+      }),
+    })),
+  };
+}
+
+function csvCell(value) {
+  if (value == null) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Excel で開いても文字化けしないよう BOM 付き
+function toCsv(exported) {
+  const header = [
+    'rank', 'symbol', 'displayName', 'lastPrice', 'priceChangePercent', 'quoteVolume',
+    ...exported.snapshots.flatMap(t => [`rank ${t.jst} (${t.utc})`, `volume ${t.jst} (${t.utc})`]),
+  ];
+  const lines = exported.rows.map(row => [
+    row.rank, row.symbol, row.displayName, row.lastPrice, row.priceChangePercent, row.quoteVolume,
+    ...row.snapshots.flatMap(s => (s ? [s.rank, s.volume] : [null, null])),
+  ]);
+  return '\uFEFF' + [header, ...lines].map(cols => cols.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = { buildExport, toCsv, formatJST };
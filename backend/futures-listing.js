@@ -0,0 +1,38 @@
+const { resolveAsset, resolveConfirmedAlphaAsset } = require('./assets');
+
+// ════════════════════════════════════════════════════
+// 先物上場の突き合わせ
+// Binance Alpha のようなオンチェーン銘柄に、参照先物取引所 (Binance 先物) で同じ基軸通貨の契約があるかを付ける
+// 基軸通貨は銘柄対応表 (assets.js) で突き合わせるので 1000PEPE のような倍率付きの契約も拾う
+//
+// ティッカーが同じだけの無関係なトークンは多いので、名前だけでは突き合わせない。同じトークンだと確かめられるのは
+//   1. 銘柄対応表の alphaContracts にコントラクトが載っている（チームで確認して登録したもの）
+//   2. Alpha のトークンリストで Binance の現物と紐付いている (listingCex / cexCoinName → アダプタの cexCoinName)
+// のどちらかだけ (assets.js の resolveConfirmedAlphaAsset。取引所横断の突き合わせと同じ規則)
+// どちらにも当たらないトークンは、実際に先物があっても futuresSymbol は null になる
+// ════════════════════════════════════════════════════
+
+/**
+ * data の各銘柄に futuresSymbol (契約が無い・同じトークンか確かめられなければ null) と
+ * futuresListingTime (先物の上場日時) を付けて返す
+ * futuresData は出来高降順なので、同じ基軸通貨の契約が複数あれば上位を採用
+ * exchangeId / futuresExchangeId は取引所専用の別名を引くのに使う
+ */
+function attachFuturesListings(data, futuresData, { exchangeId = null, futuresExchangeId = null } = {}) {
+  const contracts = new Map();
+  for (const item of futuresData) {
+    const { asset } = resolveAsset(item, futuresExchangeId);
+    if (!contracts.has(asset)) contracts.set(asset, item);
+  }
+  return data.map(item => {
+    const asset = resolveConfirmedAlphaAsset(item, exchangeId)?.asset;
+    const contract = asset ? contracts.get(asset) : null;
+    return {
+      ...item,
+      futuresSymbol: contract ? contract.symbol : null,
+      futuresListingTime: contract?.listingTime ?? null,
+    };
+  });
+}
+
+module.exports = { attachFuturesListings };
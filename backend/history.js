@@ -0,0 +1,54 @@
+// ════════════════════════════════════════════════════
+// スナップショット履歴クエリ
+// saveExchangeData が作る { time, timestamp, source, rankings } をそのまま時間範囲・銘柄で絞り込む
+// ════════════════════════════════════════════════════
+
+const DEFAULT_HISTORY_RANGE_MS = 24 * 60 * 60 * 1000;
+
+// エポックミリ秒 or ISO 文字列を受け付ける。未指定は null、解釈できなければ NaN
+function parseTimeParam(value) {
+  if (value === undefined || value === '') return null;
+  if (/^\d+$/.test(value)) return Number(value);
+  return Date.parse(value);
+}
+
+// "BTCUSDT,ethusdt" → ['BTCUSDT', 'ETHUSDT']
+function parseSymbolsParam(value) {
+  if (!value) return null;
+  const symbols = String(value)
+    .split(',')
+    .map(s => s.trim().toUpperCase())
+    .filter(Boolean);
+  return symbols.length ? symbols : null;
+}
+
+/**
+ * snapshots から [from, to] の範囲を抜き出し、銘柄ごとの順位・出来高の推移に組み替える
+ * 返り値: { from, to, snapshots: [{ time, timestamp, source }], symbols: { SYMBOL: [{ time, timestamp, rank, volume }] } }
+ * スナップショット内に居ない時刻、maxRank より下位だった時刻は系列に含めない
+ */
+function queryHistory(snapshots, { from, to, symbols, maxRank = Infinity } = {}) {
+  const rangeTo = to ?? Date.now();
+  const rangeFrom = from ?? rangeTo - DEFAULT_HISTORY_RANGE_MS;
+  const wanted = symbols ? new Set(symbols) : null;
+
+  const inRange = snapshots.filter(s => s.timestamp >= rangeFrom && s.timestamp <= rangeTo);
+  const series = {};
+  for (const snap of inRange) {
+    for (const [symbol, entry] of Object.entries(snap.rankings)) {
+      if (wanted && !wanted.has(symbol)) continue;
+      if (entry.rank > maxRank) continue;
+      if (!series[symbol]) series[symbol] = [];
+      series[symbol].push({ time: snap.time, timestamp: snap.timestamp, rank: entry.rank, volume: entry.volume });
+    }
+  }
+
+  return {
+    from: rangeFrom,
+    to: rangeTo,
+    snapshots: inRange.map(s => ({ time: s.time, timestamp: s.timestamp, source: s.source || 'live' })),
+    symbols: series,
+  };
+}
+
+module.exports = { queryHistory, parseTimeParam, parseSymbolsParam };
@@ -0,0 +1,74 @@
+const axios = require('axios');
+const { recordHttpRequest, recordHttpRetry, recordThrottle } = require('./metrics');
+const { createRateLimiter } = require('./rate-limiter');
+
+// ════════════════════════════════════════════════════
+// 取引所API 共通 HTTP ユーティリティ
+// ════════════════════════════════════════════════════
+
+const DEFAULT_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
+  'Accept': 'application/json',
+  'Accept-Language': 'en-US,en;q=0.9',
+  'Accept-Encoding': 'gzip, deflate, br',
+};
+
+// 全取引所で共有するホスト別レートリミッタ
+const rateLimiter = createRateLimiter({ onThrottle: recordThrottle });
+
+// 1回目のリトライ前の待ち時間。以降は倍々 (モック取引所での確認時に短くする用)
+const RETRY_BASE_DELAY_MS = Number(process.env.HTTP_RETRY_BASE_MS) || 1000;
+
+// 接続先の差し替え（モック取引所サーバー scripts/mock-exchange-server.js での確認用）
+//   EXCHANGE_BASE_URL_<ホスト> … 取引所ごと (例: EXCHANGE_BASE_URL_FAPI_BINANCE_COM=http://localhost:4010/fapi.binance.com)
+//   MOCK_EXCHANGE_URL          … 全取引所を <MOCK_EXCHANGE_URL>/<元のホスト> に向ける
+function resolveBaseUrl(baseURL) {
+  const { host } = new URL(baseURL);
+  const envKey = `EXCHANGE_BASE_URL_${host.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+  if (process.env[envKey]) return process.env[envKey];
+  if (process.env.MOCK_EXCHANGE_URL) return `${process.env.MOCK_EXCHANGE_URL.replace(/\/$/, '')}/${host}`;
+  return baseURL;
+}
+
+// timeout は EXCHANGE_TIMEOUT_MS で全取引所まとめて上書きできる
+function createApiClient(baseURL, timeout = 15000) {
+  const client = axios.create({
+    baseURL: resolveBaseUrl(baseURL),
+    timeout: Number(process.env.EXCHANGE_TIMEOUT_MS) || timeout,
+    headers: DEFAULT_HEADERS,
+  });
+  // 接続先を差し替えても、レート制限・メトリクスは元の取引所ホスト単位で数える
+  client.rateLimitHost = new URL(baseURL).host;
+  return client;
+}
+
+// 送信前にホストのレート制限分のトークンを待ち、レスポンスヘッダでバケットを補正する
+// 429 / 418 の Retry-After ぶんの待ちはリミッタ側で行うので、ここでのバックオフは通常どおり
+async function fetchWithRetry(axiosInstance, url, maxRetries = 5) {
+  const host = axiosInstance.rateLimitHost || new URL(url, axiosInstance.defaults.baseURL).host;
+  for (let attempt = 0; attempt < maxRetries; attempt++) {
+    try {
+      if (attempt > 0) {
+        const delay = Math.pow(2, attempt) * RETRY_BASE_DELAY_MS + Math.random() * RETRY_BASE_DELAY_MS;
+        console.log(`  ⏳ リトライ ${attempt + 1}/${maxRetries} (${Math.round(delay / 1000)}秒待機)...`);
+        recordHttpRetry();
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+      await rateLimiter.acquire(host, url);
+      const response = await axiosInstance.get(url);
+      rateLimiter.observeResponse(host, response);
+      recordHttpRequest(response.status);
+      return response;
+    } catch (error) {
+      const status = error.response?.status;
+      const code = error.code || 'UNKNOWN';
+      rateLimiter.observeResponse(host, error.response);
+      recordHttpRequest(status || code);
+      console.error(`❌ API失敗 (${attempt + 1}/${maxRetries}): ${url} - status=${status || 'N/A'} code=${code}`);
+      if (status && status >= 400 && status < 500 && status !== 418 && status !== 429 && status !== 403) throw error;
+      if (attempt === maxRetries - 1) throw error;
+    }
+  }
+}
+
+module.exports = { DEFAULT_HEADERS, createApiClient, fetchWithRetry, rateLimiter, resolveBaseUrl };
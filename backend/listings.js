@@ -0,0 +1,86 @@
+const { EventEmitter } = require('events');
+const { canonicalizeAsset } = require('./assets');
+
+// ════════════════════════════════════════════════════
+// 上場・上場廃止の検知
+// アダプタが返す取引可能な銘柄の一覧 (instruments) を前回の一覧と比べ、増えたもの = 上場、消えたもの = 上場廃止
+// 前回の一覧と検知したイベントは保存先に置く（コレクタが再起動・交代しても同じ基準で比べる）
+// 前回の一覧が無い取引所は最初の一覧を基準として保存するだけ（全銘柄を上場扱いにしない）
+// メンテナンス中は一覧から大半の銘柄が一時的に消えることがあるので、前回の MASS_DELISTING_RATIO 以上が
+// 一度に消えたら異常とみなして比較元を更新しない（メンテナンス明けに全銘柄が上場扱いになるのも防ぐ）
+//
+// イベント: { id, type: 'listing' | 'delisting', exchange, instrumentId, symbol, base, asset, listingTime, detectedAt }
+// ════════════════════════════════════════════════════
+
+const MASS_DELISTING_RATIO = 0.5;
+// メモリに持つ件数（保存先には全件残る）
+const MAX_EVENTS = 1000;
+const DEFAULT_QUERY_LIMIT = 100;
+const EVENT_TYPES = ['listing', 'delisting'];
+
+/**
+ * 前回の一覧 → 今回の一覧の差分。instrumentId (取引所での表記) で突き合わせる
+ * suspicious: 大半が消えた（比較元にしない）
+ */
+function diffInstruments(previous, current) {
+  const previousIds = new Set(previous.map(i => i.instrumentId));
+  const currentIds = new Set(current.map(i => i.instrumentId));
+  const listed = current.filter(i => !previousIds.has(i.instrumentId));
+  const delisted = previous.filter(i => !currentIds.has(i.instrumentId));
+  const suspicious = delisted.length > 1 && delisted.length >= previous.length * MASS_DELISTING_RATIO;
+  return { listed, delisted, suspicious };
+}
+
+// 差分 → イベント。asset は取引所をまたいだ突き合わせ用（銘柄対応表 assets.js で正規化）
+function toListingEvents(exchangeId, { listed, delisted }, detectedAt = Date.now()) {
+  const toEvent = (type, instrument) => ({
+    id: `${exchangeId}:${type}:${instrument.instrumentId}:${detectedAt}`,
+    type,
+    exchange: exchangeId,
+    instrumentId: instrument.instrumentId,
+    symbol: instrument.symbol,
+    base: instrument.base,
+    asset: canonicalizeAsset(instrument.base, exchangeId).asset,
+    listingTime: instrument.listingTime ?? null,
+    detectedAt,
+  });
+  return [...listed.map(i => toEvent('listing', i)), ...delisted.map(i => toEvent('delisting', i))];
+}
+
+// 検知したイベントの記録。コレクタは record()、別プロセスの API サーバーは load() で取り込む
+// 新しく増えたイベントは 'listing' で流す（SSE 配信用。起動時の読み込み分は流さない）
+function createListingStore(storage) {
+  let events = [];
+  let loaded = false;
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+
+  function remember(incoming, emit) {
+    const known = new Set(events.map(e => e.id));
+    const added = incoming.filter(e => !known.has(e.id));
+    events = [...events, ...added].sort((a, b) => a.detectedAt - b.detectedAt).slice(-MAX_EVENTS);
+    if (emit) added.forEach(event => emitter.emit('listing', event));
+  }
+
+  return {
+    events: emitter,
+    async load() {
+      const saved = await storage.loadListingEvents();
+      remember(saved.slice(-MAX_EVENTS), loaded);
+      loaded = true;
+    },
+    async record(newEvents) {
+      remember(newEvents, true);
+      await storage.appendListingEvents(newEvents);
+    },
+    // 新しい順
+    query({ since = null, exchange = null, type = null, limit = DEFAULT_QUERY_LIMIT } = {}) {
+      return events
+        .filter(e => (since == null || e.detectedAt >= since) && (!exchange || e.exchange === exchange) && (!type || e.type === type))
+        .slice(-limit)
+        .reverse();
+    },
+  };
+}
+
+module.exports = { diffInstruments, toListingEvents, createListingStore, EVENT_TYPES };
@@ -0,0 +1,173 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// ════════════════════════════════════════════════════
+// Prometheus メトリクス（/metrics でテキスト形式を返す）
+// 依存を増やさないよう counter / gauge / histogram だけの最小実装
+// HTTP 単位の計測(fetchWithRetry)は「今どの取引所の取得中か」を AsyncLocalStorage で受け取る
+// 取得回数・HTTP のカウンタは取得したプロセス(コレクタ)にしか溜まらない
+// ════════════════════════════════════════════════════
+
+const PREFIX = 'volume_dashboard_';
+const exchangeContext = new AsyncLocalStorage();
+
+// fn の中(await の先も含む)で行われた HTTP リクエストを exchangeId のものとして記録する
+function withExchange(exchangeId, fn) {
+  return exchangeContext.run(exchangeId, fn);
+}
+
+function currentExchange() {
+  return exchangeContext.getStore() || 'unknown';
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return '';
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}`;
+}
+
+// ラベルの組ごとに値を持つ。キーはラベル値を JSON にしたもの
+function createSeries() {
+  const series = new Map();
+  return {
+    get(labels, init) {
+      const key = JSON.stringify(labels);
+      if (!series.has(key)) series.set(key, { labels, value: init() });
+      return series.get(key);
+    },
+    entries: () => [...series.values()],
+    clear: () => series.clear(),
+  };
+}
+
+const metrics = [];
+
+function register(name, help, type, render) {
+  const metric = { name: PREFIX + name, help, type, render };
+  metrics.push(metric);
+  return metric;
+}
+
+function counter(name, help) {
+  const series = createSeries();
+  const metric = register(name, help, 'counter', () =>
+    series.entries().map(s => `${metric.name}${formatLabels(s.labels)} ${s.value.count}`)
+  );
+  return {
+    inc(labels = {}, amount = 1) {
+      series.get(labels, () => ({ count: 0 })).value.count += amount;
+    },
+  };
+}
+
+// 値はスクレイプ時に set し直す想定。reset() で前回分(消えた取引所など)を捨てる
+function gauge(name, help) {
+  const series = createSeries();
+  const metric = register(name, help, 'gauge', () =>
+    series.entries().map(s => `${metric.name}${formatLabels(s.labels)} ${s.value.current}`)
+  );
+  return {
+    set(labels, value) {
+      series.get(labels, () => ({ current: 0 })).value.current = value;
+    },
+    reset: series.clear,
+  };
+}
+
+function histogram(name, help, buckets) {
+  const series = createSeries();
+  const metric = register(name, help, 'histogram', () =>
+    series.entries().flatMap(({ labels, value }) => [
+      ...buckets.map((le, i) => `${metric.name}_bucket${formatLabels({ ...labels, le })} ${value.buckets[i]}`),
+      `${metric.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`,
+      `${metric.name}_sum${formatLabels(labels)} ${value.sum}`,
+      `${metric.name}_count${formatLabels(labels)} ${value.count}`,
+    ])
+  );
+  return {
+    observe(labels, seconds) {
+      const { value } = series.get(labels, () => ({ buckets: buckets.map(() => 0), sum: 0, count: 0 }));
+      buckets.forEach((le, i) => { if (seconds <= le) value.buckets[i]++; });
+      value.sum += seconds;
+      value.count++;
+    },
+  };
+}
+
+function renderMetrics() {
+  const lines = [];
+  for (const metric of metrics) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...metric.render());
+  }
+  return lines.join('\n') + '\n';
+}
+
+// ── 取引所データ取得のメトリクス ──
+
+const fetchDuration = histogram(
+  'fetch_duration_seconds',
+  '取引所ごとのデータ取得1回(リトライ込み)にかかった時間',
+  [0.5, 1, 2, 5, 10, 30, 60, 120, 300]
+);
+const fetchTotal = counter('fetch_total', '取引所ごとのデータ取得回数 (result=success|failure)');
+const httpRequests = counter('http_requests_total', '取引所APIへのHTTPリクエスト数 (status=HTTPステータス or エラーコード)');
+const httpRetries = counter('http_retries_total', '取引所APIへのHTTPリトライ回数');
+const throttled = counter('rate_limit_throttled_total', 'レートリミッタが送信を待たせた・止めた回数 (reason=wait|429|418)');
+const throttledSeconds = counter('rate_limit_throttled_seconds_total', 'レートリミッタによる待ち時間の合計');
+const lastSuccess = gauge('last_success_timestamp_seconds', '最後にデータ取得に成功した時刻 (UNIX秒)');
+const dataAge = gauge('data_age_seconds', '表示中データの経過秒数');
+const consecutiveFailures = gauge('consecutive_failures', '連続して取得に失敗している回数');
+const symbolCount = gauge('symbols', '最新データの銘柄数');
+const snapshotCount = gauge('snapshots', 'メモリ上のスナップショット数');
+
+function recordFetch(exchangeId, seconds, ok) {
+  const result = ok ? 'success' : 'failure';
+  fetchDuration.observe({ exchange: exchangeId, result }, seconds);
+  fetchTotal.inc({ exchange: exchangeId, result });
+}
+
+// response があればその HTTP ステータス、無ければ axios のエラーコード (ETIMEDOUT など)
+function recordHttpRequest(status) {
+  httpRequests.inc({ exchange: currentExchange(), status });
+}
+
+function recordHttpRetry() {
+  httpRetries.inc({ exchange: currentExchange() });
+}
+
+function recordThrottle({ host, reason, waitMs }) {
+  throttled.inc({ host, reason });
+  throttledSeconds.inc({ host }, waitMs / 1000);
+}
+
+/**
+ * スクレイプ時点の状態から gauge を作り直す
+ *   store:       データストアの中身 { id: { current, snapshots } }
+ *   fetchStatus: コレクタの取得状況 { id: { lastSuccessAt, consecutiveFailures, ... } }
+ */
+function updateExchangeGauges(exchangeIds, store, fetchStatus = {}, now = Date.now()) {
+  [lastSuccess, dataAge, consecutiveFailures, symbolCount, snapshotCount].forEach(g => g.reset());
+  for (const id of exchangeIds) {
+    const labels = { exchange: id };
+    const status = fetchStatus[id];
+    const current = store[id]?.current;
+    if (status?.lastSuccessAt) lastSuccess.set(labels, Math.floor(status.lastSuccessAt / 1000));
+    if (current?.timestamp) dataAge.set(labels, Math.round((now - current.timestamp) / 1000));
+    consecutiveFailures.set(labels, status?.consecutiveFailures || 0);
+    symbolCount.set(labels, current?.data?.length || 0);
+    snapshotCount.set(labels, store[id]?.snapshots?.length || 0);
+  }
+}
+
+module.exports = {
+  withExchange,
+  recordFetch,
+  recordHttpRequest,
+  recordHttpRetry,
+  recordThrottle,
+  updateExchangeGauges,
+  renderMetrics,
+};
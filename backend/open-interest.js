@@ -0,0 +1,23 @@
+// ════════════════════════════════════════════════════
+// 建玉(OI)の前回スナップ比
+// openInterest を持つ取引所(現状 Binance先物)だけが対象。持たない行はそのまま返す
+// ════════════════════════════════════════════════════
+
+function computeOpenInterestChange(data, snapshots) {
+  const previous = snapshots[snapshots.length - 1];
+  return data.map(item => {
+    if (item.openInterest == null) return item;
+    const prevOi = previous?.rankings[item.symbol]?.openInterest;
+    if (prevOi == null || prevOi === 0) {
+      return { ...item, openInterestChange: null, openInterestChangePercent: null };
+    }
+    const openInterestChange = item.openInterest - prevOi;
+    return {
+      ...item,
+      openInterestChange,
+      openInterestChangePercent: (openInterestChange / prevOi) * 100,
+    };
+  });
+}
+
+module.exports = { computeOpenInterestChange };
@@ -0,0 +1,32 @@
+const { resolveAsset } = require('./assets');
+
+// ════════════════════════════════════════════════════
+// キムチプレミアム
+// 現物の USD 換算価格が参照取引所 (Binance 先物) の同じ基軸通貨の価格より何%高いか
+// 換算レートは取引所側の conversion (デフォルトは Upbit の KRW-USDT) に従う
+// 基軸通貨は銘柄対応表 (assets.js) で突き合わせ、1000PEPE のような倍率付きの銘柄は1枚あたりの価格に直して比べる
+// ════════════════════════════════════════════════════
+
+/**
+ * data の各銘柄に kimchiPremium (%) を付けて返す。参照側に同じ基軸通貨が無ければ null
+ * referenceData は出来高降順なので、同じ基軸通貨が複数あれば上位を採用
+ * exchangeId / referenceExchangeId は取引所専用の別名を引くのに使う
+ */
+function computeKimchiPremium(data, referenceData, { exchangeId = null, referenceExchangeId = null } = {}) {
+  const referencePrices = new Map();
+  for (const item of referenceData) {
+    const { asset, multiplier } = resolveAsset(item, referenceExchangeId);
+    if (!referencePrices.has(asset) && item.lastPrice > 0) referencePrices.set(asset, item.lastPrice / multiplier);
+  }
+  return data.map(item => {
+    const { asset, multiplier } = resolveAsset(item, exchangeId);
+    const referencePrice = referencePrices.get(asset);
+    const unitPrice = item.lastPrice / multiplier;
+    return {
+      ...item,
+      kimchiPremium: referencePrice && unitPrice > 0 ? (unitPrice / referencePrice - 1) * 100 : null,
+    };
+  });
+}
+
+module.exports = { computeKimchiPremium };
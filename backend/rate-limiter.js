@@ -0,0 +1,185 @@
+// ════════════════════════════════════════════════════
+// 取引所APIのホスト別レートリミッタ（トークンバケット）
+// 公開されているレート制限(重み)を上限に、リクエストごとの重みぶんトークンを消費してから送る
+// レスポンスヘッダ (Retry-After / Binance の X-MBX-USED-WEIGHT-1M / Upbit の Remaining-Req / 汎用の X-RateLimit-Remaining)
+// でバケットを補正し、
+// 429 / 418 を受けたら指定時間そのホストへの送信を止める
+// 待たされた回数・秒数は記録して /metrics に出す
+// ════════════════════════════════════════════════════
+
+/**
+ * ホストごとの制限
+ *   capacity:   バケットの容量 (= windowMs あたりの重み上限。安全側に公称値より少し低くする)
+ *   windowMs:   容量が全回復するまでの時間
+ *   weights:    [path の正規表現, 重み] の配列。最初に一致したもの。どれにも一致しなければ 1
+ */
+const HOST_LIMITS = {
+  // USDⓈ-M 先物: REQUEST_WEIGHT 2400/分
+  'fapi.binance.com': {
+    capacity: 2000,
+    windowMs: 60000,
+    weights: [
+      [/^\/fapi\/v1\/ticker\/24hr(?!\?symbol=)/, 40],
+      [/^\/fapi\/v1\/premiumIndex(?!\?symbol=)/, 10],
+      [/^\/fapi\/v1\/exchangeInfo/, 1],
+      [/^\/fapi\/v1\/openInterest/, 1],
+    ],
+  },
+  // Web 用 API は公称値なし。現物 API (6000/分) よりかなり控えめにする
+  'www.binance.com': { capacity: 600, windowMs: 60000 },
+  // 市場データ: 20回/秒
+  'api.bitget.com': { capacity: 15, windowMs: 1000 },
+  // Quotation API: 10回/秒 (グループごと。ここではホスト単位でまとめて守る)
+  'api.upbit.com': { capacity: 8, windowMs: 1000 },
+  // 公開 API: 20回/2秒 (エンドポイントごと)
+  'www.okx.com': { capacity: 15, windowMs: 2000 },
+  // 600回/5秒 (IP単位)
+  'api.bybit.com': { capacity: 400, windowMs: 5000 },
+  // 公開 API: 200回/10秒
+  'api.gateio.ws': { capacity: 150, windowMs: 10000 },
+};
+
+const DEFAULT_LIMIT = { capacity: 10, windowMs: 1000 };
+// Retry-After が付かない 429 / 418 のときに止める時間
+const DEFAULT_BLOCK_MS = 60000;
+
+function parseRetryAfterMs(value, now = Date.now()) {
+  if (value == null || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(seconds * 1000, 0);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - now, 0);
+}
+
+// now / sleep はテストで時計を差し替えるためのもの
+function createRateLimiter({
+  limits = HOST_LIMITS,
+  onThrottle = () => {},
+  now = Date.now,
+  sleep = ms => new Promise(resolve => setTimeout(resolve, ms)),
+} = {}) {
+  const buckets = new Map();
+  const stats = new Map();
+
+  function getBucket(host) {
+    if (!buckets.has(host)) {
+      const limit = limits[host] || DEFAULT_LIMIT;
+      buckets.set(host, {
+        limit,
+        tokens: limit.capacity,
+        updatedAt: now(),
+        blockedUntil: 0,
+        // 同じホストへの待ちは到着順に並べる（後から来た軽いリクエストに追い越させない）
+        queue: Promise.resolve(),
+      });
+    }
+    return buckets.get(host);
+  }
+
+  function getStats(host) {
+    if (!stats.has(host)) stats.set(host, { waits: 0, waitMs: 0, blocks: 0, lastThrottledAt: null });
+    return stats.get(host);
+  }
+
+  function refill(bucket, now) {
+    const { capacity, windowMs } = bucket.limit;
+    bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) * capacity) / windowMs);
+    bucket.updatedAt = now;
+  }
+
+  function getWeight(host, path) {
+    const rule = (getBucket(host).limit.weights || []).find(([pattern]) => pattern.test(path));
+    return rule ? rule[1] : 1;
+  }
+
+  async function waitForTokens(host, weight) {
+    const bucket = getBucket(host);
+    // 容量より重いリクエストは満タンになるまで待てば通す
+    const needed = Math.min(weight, bucket.limit.capacity);
+    let waitedMs = 0;
+    for (;;) {
+      const current = now();
+      refill(bucket, current);
+      let delay = bucket.blockedUntil - current;
+      if (delay <= 0) {
+        if (bucket.tokens >= needed) break;
+        delay = ((needed - bucket.tokens) * bucket.limit.windowMs) / bucket.limit.capacity;
+      }
+      delay = Math.ceil(delay);
+      waitedMs += delay;
+      await sleep(delay);
+    }
+    bucket.tokens -= needed;
+    if (waitedMs > 0) {
+      const s = getStats(host);
+      s.waits++;
+      s.waitMs += waitedMs;
+      s.lastThrottledAt = now();
+      onThrottle({ host, reason: 'wait', waitMs: waitedMs });
+    }
+  }
+
+  // path の重みぶんのトークンが貯まるまで待つ
+  function acquire(host, path) {
+    const bucket = getBucket(host);
+    const weight = getWeight(host, path);
+    const turn = bucket.queue.then(() => waitForTokens(host, weight));
+    bucket.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  // ホストの送信を ms だけ止める（既に止まっていれば長い方）。reason は '429' / '418'
+  function block(host, ms, reason) {
+    const bucket = getBucket(host);
+    bucket.blockedUntil = Math.max(bucket.blockedUntil, now() + ms);
+    bucket.tokens = 0;
+    const s = getStats(host);
+    s.blocks++;
+    s.lastThrottledAt = now();
+    console.warn(`🚦 [${host}] ${reason === '418' ? '418 (IP BAN)' : `${reason} (レート超過)`}: ${Math.ceil(ms / 1000)}秒送信を停止`);
+    onThrottle({ host, reason, waitMs: ms });
+  }
+
+  // 成功・失敗どちらのレスポンスでもヘッダを見てバケットを実際の使用量に合わせる
+  function observeResponse(host, response) {
+    if (!response) return;
+    const headers = response.headers || {};
+    const bucket = getBucket(host);
+    refill(bucket, now());
+
+    // Binance: 直近1分の使用済み重み。他プロセス・他ツールの分も含むのでこちらの見積もりより信用する
+    const usedWeight = Number(headers['x-mbx-used-weight-1m']);
+    if (Number.isFinite(usedWeight) && host.endsWith('binance.com')) {
+      bucket.tokens = Math.min(bucket.tokens, Math.max(bucket.limit.capacity - usedWeight, 0));
+    }
+
+    // Upbit: "group=market; min=599; sec=9" … 秒あたりの残り回数
+    const remainingReq = headers['remaining-req'];
+    if (remainingReq) {
+      const sec = Number(/sec=(\d+)/.exec(remainingReq)?.[1]);
+      if (Number.isFinite(sec)) bucket.tokens = Math.min(bucket.tokens, sec);
+    }
+
+    // 汎用: 現在のウィンドウで残っている回数
+    const remaining = headers['x-ratelimit-remaining'];
+    if (remaining != null && remaining !== '' && Number.isFinite(Number(remaining))) {
+      bucket.tokens = Math.min(bucket.tokens, Math.max(Number(remaining), 0));
+    }
+
+    const status = response.status;
+    if (status === 429 || status === 418) {
+      const retryAfterMs = parseRetryAfterMs(headers['retry-after'], now()) ?? DEFAULT_BLOCK_MS;
+      block(host, retryAfterMs, String(status));
+    }
+  }
+
+  return {
+    acquire,
+    block,
+    observeResponse,
+    getWeight,
+    getStats: () => Object.fromEntries(stats),
+  };
+}
+
+module.exports = { createRateLimiter, parseRetryAfterMs, HOST_LIMITS, DEFAULT_BLOCK_MS };
@@ -0,0 +1,54 @@
+const { createStorage } = require('../storage');
+const { createDataStore } = require('../data-store');
+const { createCollector } = require('../collector');
+const { listAdapters, getAdapter } = require('../exchanges');
+
+// ════════════════════════════════════════════════════
+// 取得を1回だけ実行して保存し、終了する（cron や手元での確認用）
+//   npm run collect                              … 全取引所
+//   npm run collect -- binance-futures upbit-spot … 指定した取引所だけ
+// 常駐のコレクタがリーダーロックを持っていれば、自分では取得せずそのコレクタに取得を依頼する
+// 自分で取得するときは、API サーバーが置いたままの依頼 (手動取得・スナップショット削除) も一緒に片付ける
+// 終了コード: 0 = 全て成功 (または依頼済み) / 1 = 取得に失敗した取引所あり / 2 = 引数の誤り
+// ════════════════════════════════════════════════════
+
+async function main() {
+  const ids = process.argv.slice(2);
+  const unknown = ids.filter(id => !getAdapter(id));
+  if (unknown.length) {
+    console.error(`❌ 不明な取引所です: ${unknown.join(', ')} (${listAdapters().map(a => a.id).join(' / ')})`);
+    return 2;
+  }
+  const adapters = ids.length ? ids.map(getAdapter) : listAdapters();
+
+  const storage = createStorage();
+  if (!storage.shared) {
+    console.warn(`⚠️ STORAGE_BACKEND=${storage.name} では取得結果が保存されません`);
+  }
+  const dataStore = createDataStore(storage);
+  // 出来高差分・建玉の変化を前回スナップショットと比べるため、保存済みのデータを読んでから取得する
+  await dataStore.load();
+
+  const collector = createCollector({ storage, dataStore });
+  const outcome = await collector.runOnce(adapters);
+
+  if (!outcome.acquired) {
+    await storage.pushFetchRequest({ type: 'fetch', exchanges: adapters.map(a => a.id), requestedAt: Date.now() });
+    console.log(`📨 コレクタ (${outcome.holder?.owner || '不明'}) が稼働中のため取得を依頼しました`);
+    return 0;
+  }
+
+  const failed = outcome.results.filter(r => !r.ok);
+  if (failed.length) {
+    console.error(`❌ 取得失敗: ${failed.map(r => r.id).join(', ')}`);
+    return 1;
+  }
+  return 0;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
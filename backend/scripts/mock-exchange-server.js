@@ -0,0 +1,142 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+// ════════════════════════════════════════════════════
+// ローカル確認用 モック取引所サーバー
+// fixtures/exchanges/<ホスト>/<パス>.json に記録したレスポンスを返す。取引所 API に繋がずにサーバーを動かせる
+//
+//   npm run mock:exchanges                     … http://localhost:4010 で起動
+//   MOCK_EXCHANGE_URL=http://localhost:4010 npm start … 全取引所の接続先をこのサーバーに向ける
+//   npm test                                   … 結合テスト (test/) がこのサーバーを子プロセスで起動して使う
+//
+// リクエスト GET /<ホスト>/<パス>?<クエリ> に対して
+//   1. <パス>@<クエリ>.json (クエリごとに内容が違うもの。例: openInterest@symbol=BTCUSDT.json)
+//   2. <パス>.json
+// の順に探す。無ければ 404
+//
+// 障害の再現 (429 / 418 / 403 / 5xx / タイムアウト):
+//   MOCK_SCENARIO=<名前> で fixtures/scenarios/<名前>.json を読み込む。実行中は
+//   POST /__mock/faults に同じ形式の JSON を送ると追加、DELETE /__mock/faults で全解除
+//   障害: { host?, path?, status?: 429 | 418 | 403 | 500 ..., timeout?: true, retryAfter?: 秒, times?: 回数 }
+//     host / path は省略すると全てに一致 (path は前方一致)。times 回使ったら消える (省略時は解除まで続く)
+//   GET /__mock/requests で受けたリクエストの履歴、DELETE /__mock/requests で消去
+// ════════════════════════════════════════════════════
+
+const PORT = process.env.MOCK_EXCHANGE_PORT || 4010;
+const FIXTURES_DIR = process.env.MOCK_FIXTURES_DIR || path.join(__dirname, '..', 'fixtures');
+const EXCHANGES_DIR = path.join(FIXTURES_DIR, 'exchanges');
+const SCENARIOS_DIR = path.join(FIXTURES_DIR, 'scenarios');
+const MAX_REQUEST_LOG = 1000;
+// タイムアウト再現時に接続を放置する時間（クライアントのタイムアウトより十分長く）
+const HANG_MS = 5 * 60 * 1000;
+
+const app = express();
+app.use(express.json());
+
+let faults = [];
+const requestLog = [];
+// Binance の X-MBX-USED-WEIGHT-1M を真似るための直近1分のリクエスト時刻
+const recentBinanceRequests = [];
+
+function loadScenario(name) {
+  const file = path.join(SCENARIOS_DIR, `${name}.json`);
+  const loaded = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return Array.isArray(loaded) ? loaded : [loaded];
+}
+
+// クエリをファイル名に使える形にする（= と & はそのまま）
+function queryToFileSuffix(query) {
+  return query.replace(/[^A-Za-z0-9=&_.,%-]/g, '_');
+}
+
+function findFixture(host, pathname, query) {
+  const base = path.join(EXCHANGES_DIR, host, pathname);
+  // fixtures の外を読ませない
+  if (!base.startsWith(EXCHANGES_DIR + path.sep)) return null;
+  const candidates = query ? [`${base}@${queryToFileSuffix(query)}.json`, `${base}.json`] : [`${base}.json`];
+  return candidates.find(file => fs.existsSync(file)) || null;
+}
+
+function takeFault(host, pathname) {
+  const fault = faults.find(f => (!f.host || f.host === host) && (!f.path || pathname.startsWith(f.path)));
+  if (!fault) return null;
+  if (fault.times != null && --fault.times <= 0) faults = faults.filter(f => f !== fault);
+  return fault;
+}
+
+// 本物に近いレート制限系ヘッダ
+function setExchangeHeaders(res, host) {
+  if (host.endsWith('binance.com')) {
+    const now = Date.now();
+    recentBinanceRequests.push(now);
+    while (recentBinanceRequests[0] < now - 60000) recentBinanceRequests.shift();
+    res.set('X-MBX-USED-WEIGHT-1M', String(recentBinanceRequests.length));
+  }
+  if (host === 'api.upbit.com') {
+    res.set('Remaining-Req', 'group=market; min=599; sec=9');
+  }
+}
+
+app.get('/__mock/requests', (req, res) => {
+  res.json(requestLog);
+});
+
+app.delete('/__mock/requests', (req, res) => {
+  requestLog.length = 0;
+  res.json({ ok: true });
+});
+
+app.get('/__mock/faults', (req, res) => {
+  res.json(faults);
+});
+
+app.post('/__mock/faults', (req, res) => {
+  const added = Array.isArray(req.body) ? req.body : [req.body];
+  faults.push(...added);
+  console.log(`💥 障害を追加: ${JSON.stringify(added)}`);
+  res.json(faults);
+});
+
+app.delete('/__mock/faults', (req, res) => {
+  faults = [];
+  res.json(faults);
+});
+
+app.get('/:host/*', (req, res) => {
+  const { host } = req.params;
+  const pathname = `/${req.params[0]}`;
+  const query = req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?') + 1) : '';
+  const fault = takeFault(host, pathname);
+  requestLog.push({ time: new Date().toISOString(), host, path: pathname, query, fault: fault ? fault.status || 'timeout' : null });
+  if (requestLog.length > MAX_REQUEST_LOG) requestLog.shift();
+
+  if (fault?.timeout) {
+    // 応答しない。クライアント側のタイムアウトで切られる
+    console.log(`⏳ ${host}${pathname} タイムアウトを再現`);
+    setTimeout(() => res.destroy(), HANG_MS);
+    return;
+  }
+  if (fault) {
+    if (fault.retryAfter != null) res.set('Retry-After', String(fault.retryAfter));
+    console.log(`💥 ${host}${pathname} → ${fault.status}`);
+    return res.status(fault.status).json({ code: fault.status, msg: 'mock fault' });
+  }
+
+  const file = findFixture(host, pathname, query);
+  if (!file) {
+    console.log(`❓ ${host}${pathname}${query ? `?${query}` : ''} → fixture なし`);
+    return res.status(404).json({ code: 404, msg: `fixture がありません: ${host}${pathname}` });
+  }
+  setExchangeHeaders(res, host);
+  res.type('application/json').send(fs.readFileSync(file));
+});
+
+if (process.env.MOCK_SCENARIO) {
+  faults = loadScenario(process.env.MOCK_SCENARIO);
+  console.log(`💥 シナリオ ${process.env.MOCK_SCENARIO}: 障害 ${faults.length}件`);
+}
+
+app.listen(PORT, () => {
+  console.log(`✅ モック取引所: http://localhost:${PORT} (fixtures: ${EXCHANGES_DIR})`);
+});
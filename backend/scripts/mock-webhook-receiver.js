@@ -0,0 +1,21 @@
+const express = require('express');
+
+// ════════════════════════════════════════════════════
+// ローカル確認用 Webhook 受信サーバー
+// 受け取った POST をそのままコンソールに出す。アラートルールの url を
+// http://localhost:4001/<任意のパス> にしてサーバーを起動すれば配信内容を確認できる
+// ════════════════════════════════════════════════════
+
+const PORT = process.env.MOCK_WEBHOOK_PORT || 4001;
+const app = express();
+app.use(express.json());
+
+app.post('*', (req, res) => {
+  console.log(`📨 ${new Date().toISOString()} POST ${req.path}`);
+  console.log(JSON.stringify(req.body, null, 2));
+  res.json({ ok: true });
+});
+
+app.listen(PORT, () => {
+  console.log(`✅ モック Webhook 受信: http://localhost:${PORT}`);
+});
@@ -0,0 +1,78 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { DEFAULT_HEADERS } = require('../http');
+
+// ════════════════════════════════════════════════════
+// モック取引所用の fixtures を本物の取引所 API から記録し直す
+//   npm run record:fixtures            … 全エンドポイント
+//   npm run record:fixtures -- upbit   … ホスト名に "upbit" を含むものだけ
+// 配列は出来高上位 RECORD_LIMIT (デフォルト 20) 件に切り詰めて保存する（リポジトリを肥大化させない）
+// ════════════════════════════════════════════════════
+
+const EXCHANGES_DIR = path.join(__dirname, '..', 'fixtures', 'exchanges');
+const RECORD_LIMIT = Number(process.env.RECORD_LIMIT) || 20;
+
+// [ホスト, パス(クエリ込み), 保存するクエリ付きファイル名にするか]
+const ENDPOINTS = [
+  ['fapi.binance.com', '/fapi/v1/exchangeInfo'],
+  ['fapi.binance.com', '/fapi/v1/ticker/24hr'],
+  ['fapi.binance.com', '/fapi/v1/premiumIndex'],
+  ['fapi.binance.com', '/fapi/v1/openInterest?symbol=BTCUSDT', true],
+  ['fapi.binance.com', '/fapi/v1/openInterest?symbol=ETHUSDT', true],
+  ['www.binance.com', '/bapi/defi/v1/public/wallet-direct/buw/wallet/cex/alpha/all/token/list'],
+  ['api.bitget.com', '/api/v2/spot/market/tickers'],
+  ['api.upbit.com', '/v1/market/all?is_details=false'],
+  ['api.upbit.com', '/v1/ticker?markets=KRW-BTC,KRW-ETH,KRW-SOL,KRW-XRP,KRW-DOGE,KRW-USDT'],
+  ['www.okx.com', '/api/v5/public/instruments?instType=SWAP'],
+  ['www.okx.com', '/api/v5/market/tickers?instType=SWAP'],
+  ['api.bybit.com', '/v5/market/instruments-info?category=linear&limit=1000'],
+  ['api.bybit.com', '/v5/market/tickers?category=linear'],
+  ['api.gateio.ws', '/api/v4/spot/currency_pairs'],
+  ['api.gateio.ws', '/api/v4/spot/tickers'],
+];
+
+// 出来高っぽいフィールドで並べて上位だけ残す。見つからなければ先頭から
+const VOLUME_FIELDS = ['quoteVolume', 'usdtVolume', 'volume24h', 'acc_trade_price_24h', 'volCcy24h', 'turnover24h', 'quote_volume'];
+
+function truncateList(list) {
+  if (list.length <= RECORD_LIMIT) return list;
+  const field = VOLUME_FIELDS.find(f => list[0] && f in list[0]);
+  const sorted = field ? [...list].sort((a, b) => parseFloat(b[field] || 0) - parseFloat(a[field] || 0)) : list;
+  return sorted.slice(0, RECORD_LIMIT);
+}
+
+// { data: [...] } / { result: { list: [...] } } / { symbols: [...] } のような入れ子の配列も切り詰める
+function truncate(body) {
+  if (Array.isArray(body)) return truncateList(body);
+  if (body && typeof body === 'object') {
+    return Object.fromEntries(Object.entries(body).map(([key, value]) => [key, truncate(value)]));
+  }
+  return body;
+}
+
+function fixtureFile(host, url, withQuery) {
+  const [pathname, query] = url.split('?');
+  const suffix = withQuery && query ? `@${query.replace(/[^A-Za-z0-9=&_.,%-]/g, '_')}` : '';
+  return path.join(EXCHANGES_DIR, host, `${pathname}${suffix}.json`);
+}
+
+async function record() {
+  const filter = process.argv[2];
+  const targets = ENDPOINTS.filter(([host]) => !filter || host.includes(filter));
+  for (const [host, url, withQuery] of targets) {
+    try {
+      const response = await axios.get(`https://${host}${url}`, { headers: DEFAULT_HEADERS, timeout: 30000 });
+      const file = fixtureFile(host, url, withQuery);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, JSON.stringify(truncate(response.data), null, 2) + '\n');
+      console.log(`💾 ${host}${url} → ${path.relative(process.cwd(), file)}`);
+    } catch (error) {
+      console.error(`❌ ${host}${url}: ${error.message}`);
+    }
+    // 記録は一度きりなので素朴に間隔を空ける
+    await new Promise(resolve => setTimeout(resolve, 500));
+  }
+}
+
+record();
@@ -1,7 +1,21 @@
 const express = require('express');
 const cors = require('cors');
-const axios = require('axios');
 const path = require('path');
+const { createStorage } = require('./storage');
+const { createDataStore, SNAPSHOT_RETENTION_MS } = require('./data-store');
+const { createCollector, createCollectorClient, isCollectorAlive } = require('./collector');
+const { queryHistory, parseTimeParam, parseSymbolsParam } = require('./history');
+const { listAdapters, getAdapter, getEndpoint, getIntervalMinutes, toMeta } = require('./exchanges');
+const { aggregateByAsset } = require('./aggregate');
+const { resolveAsset, canonicalizeAsset, annotateAssets } = require('./assets');
+const { isValidToken, normalizeWatchlist, createWatchlistStore } = require('./watchlist');
+const { computeKimchiPremium } = require('./premium');
+const { attachFuturesListings } = require('./futures-listing');
+const { createListingStore, EVENT_TYPES } = require('./listings');
+const { buildExport, toCsv, formatJST } = require('./export');
+const metrics = require('./metrics');
+const { createAdminAuth } = require('./admin');
+const { PUMP_RULE } = require('./alerts');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -10,381 +24,525 @@ app.use(cors());
 app.use(express.json());
 
 // ════════════════════════════════════════════════════
-// 共通ユーティリティ
+// API サーバー
+// メモリ上のデータストアを返すだけで、取引所APIは叩かない（取得は collector.js のコレクタ）
+// COLLECTOR_MODE=embedded (デフォルト) … コレクタを同じプロセスで動かす。リーダーロックを取れなければ待機し、
+//                                     その間は external と同じく保存先から読む（複数台起動しても取得は1台だけ）
+// COLLECTOR_MODE=external           … API のみ。別プロセスのコレクタ (node collector.js) が書いた保存先を
+//                                     STORE_SYNC_SECONDS (デフォルト 15) 秒ごとに読み直す
+// API では最新 MAX_SNAPSHOTS 件 (1時間前比較ができるよう、短い間隔では 1時間+1件分) だけ返す
 // ════════════════════════════════════════════════════
 
-const DEFAULT_HEADERS = {
-  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
-  'Accept': 'application/json',
-  'Accept-Language': 'en-US,en;q=0.9',
-  'Accept-Encoding': 'gzip, deflate, br',
-};
-
-async function fetchWithRetry(axiosInstance, url, maxRetries = 5) {
-  for (let attempt = 0; attempt < maxRetries; attempt++) {
-    try {
-      if (attempt > 0) {
-        const delay = Math.pow(2, attempt) * 1000 + Math.random() * 1000;
-        console.log(`  ⏳ リトライ ${attempt + 1}/${maxRetries} (${Math.round(delay / 1000)}秒待機)...`);
-        await new Promise(resolve => setTimeout(resolve, delay));
-      }
-      return await axiosInstance.get(url);
-    } catch (error) {
-      const status = error.response?.status;
-      const code = error.code || 'UNKNOWN';
-      console.error(`❌ API失敗 (${attempt + 1}/${maxRetries}): ${url} - status=${status || 'N/A'} code=${code}`);
-      if (status && status >= 400 && status < 500 && status !== 418 && status !== 429 && status !== 403) throw error;
-      if (attempt === maxRetries - 1) throw error;
-    }
-  }
+const MAX_SNAPSHOTS = 11;
+const DEFAULT_TOP_N = 100;
+const TOP_N_OPTIONS = [50, 100, 200];
+const COLLECTOR_MODES = ['embedded', 'external'];
+const COLLECTOR_MODE = process.env.COLLECTOR_MODE || 'embedded';
+const STORE_SYNC_MS = (Number(process.env.STORE_SYNC_SECONDS) || 15) * 1000;
+
+if (!COLLECTOR_MODES.includes(COLLECTOR_MODE)) {
+  throw new Error(`未対応の COLLECTOR_MODE: ${COLLECTOR_MODE} (${COLLECTOR_MODES.join(' / ')})`);
 }
 
-function getJSTTimeLabel() {
-  const now = new Date();
-  const jst = new Date(now.getTime() + 9 * 60 * 60 * 1000);
-  return `${String(jst.getUTCHours()).padStart(2, '0')}:${String(jst.getUTCMinutes()).padStart(2, '0')}`;
+const storage = createStorage();
+if (COLLECTOR_MODE === 'external' && !storage.shared) {
+  throw new Error(`COLLECTOR_MODE=external では STORAGE_BACKEND=${storage.name} を使えません (コレクタと共有できる保存先が必要です)`);
 }
 
-// ════════════════════════════════════════════════════
-// データストア
-// 各取引所の「最新データ」+「スナップショット履歴」を保持
-// 取引所APIは起動時と30分刻み(XX:00, XX:30)のみ叩く。それ以外はメモリのデータを返す
-// ════════════════════════════════════════════════════
-
-const MAX_SNAPSHOTS = 11;
-
-// { 'binance-futures': { current: { data: [...], timestamp }, snapshots: [ { time, rankings } ] } }
-const store = {};
+const dataStore = createDataStore(storage);
+const { store } = dataStore;
+const watchlists = createWatchlistStore(storage);
+// 上場・上場廃止のイベント。コレクタが同じプロセスならそのまま共有し、別プロセスなら保存先から取り込む
+const listingStore = createListingStore(storage);
 
-function saveExchangeData(exchangeId, data) {
-  if (!data?.length) return;
+const collector = COLLECTOR_MODE === 'embedded' ? createCollector({ storage, dataStore, listingStore }) : null;
+const collectorClient = createCollectorClient(storage);
 
-  const timeLabel = getJSTTimeLabel();
-  const rankings = {};
-  data.forEach((item, index) => {
-    rankings[item.symbol] = { rank: index + 1, volume: item.quoteVolume };
-  });
-
-  if (!store[exchangeId]) store[exchangeId] = { current: null, snapshots: [] };
+// 取得状況の参照先: 同じプロセスのコレクタがリーダーならそれ、でなければ保存先に書かれたリーダーの状態
+function activeCollector() {
+  return collector?.isLeader() ? collector : collectorClient;
+}
 
-  // 最新データを保存
-  store[exchangeId].current = { data, timestamp: Date.now() };
+function getFetchStatus(exchangeId) {
+  return activeCollector().getStatus()?.fetchStatus?.[exchangeId];
+}
 
-  // スナップショットを追加
-  store[exchangeId].snapshots.push({ time: timeLabel, timestamp: Date.now(), rankings });
-  while (store[exchangeId].snapshots.length > MAX_SNAPSHOTS) {
-    store[exchangeId].snapshots.shift();
+// 別プロセスのコレクタが書いたデータ・状態・上場イベントを取り込む（自分がリーダーの間は不要）
+// ウォッチリストは他の API サーバーでも更新されるので、リーダーでも毎回読み直す
+async function syncFromStorage() {
+  try {
+    await watchlists.load();
+    if (collector?.isLeader()) return;
+    await dataStore.sync();
+    await collectorClient.refresh();
+    await listingStore.load();
+  } catch (error) {
+    console.error(`❌ 保存データの同期失敗 (${storage.name}): ${error.message}`);
   }
-
-  console.log(`📸 [${exchangeId}] データ保存: ${timeLabel} (スナップショット ${store[exchangeId].snapshots.length}件)`);
 }
 
-// API失敗時に前回データでスナップショットだけ保存する
-function saveSnapshotFallback(exchangeId) {
-  const s = store[exchangeId];
-  if (!s?.current?.data?.length) return false;
-
-  const timeLabel = getJSTTimeLabel();
-  const rankings = {};
-  s.current.data.forEach((item, index) => {
-    rankings[item.symbol] = { rank: index + 1, volume: item.quoteVolume };
-  });
-
-  s.snapshots.push({ time: timeLabel, timestamp: Date.now(), rankings });
-  while (s.snapshots.length > MAX_SNAPSHOTS) {
-    s.snapshots.shift();
-  }
+// 画面に出す鮮度情報。取得に連続で失敗している間は stale
+function getFreshness(exchangeId) {
+  const status = getFetchStatus(exchangeId);
+  const dataTimestamp = store[exchangeId]?.current?.timestamp ?? null;
+  return {
+    stale: !!status?.consecutiveFailures,
+    dataTimestamp,
+    failingSince: status?.failingSince ?? null,
+    consecutiveFailures: status?.consecutiveFailures ?? 0,
+    lastError: status?.consecutiveFailures ? status.lastError : null,
+  };
+}
 
-  console.log(`⚠️ [${exchangeId}] フォールバック: 前回データでスナップショット保存 ${timeLabel} (計${s.snapshots.length}件)`);
-  return true;
+// ?limit=50|100|200|all → 上位件数（不正値は null）
+function parseTopN(value) {
+  if (value === undefined || value === '') return DEFAULT_TOP_N;
+  if (value === 'all') return Infinity;
+  const n = Number(value);
+  return TOP_N_OPTIONS.includes(n) ? n : null;
 }
 
-function getExchangeData(exchangeId) {
+// スナップショットの rankings は返す銘柄の分だけに絞る（順位自体は全銘柄中の実順位のまま）
+function getExchangeData(exchangeId, topN = DEFAULT_TOP_N) {
   const s = store[exchangeId];
   if (!s || !s.current) return null;
+  const adapter = getAdapter(exchangeId) || { id: exchangeId };
+  const intervalMinutes = getIntervalMinutes(adapter);
+  const servedCount = Math.max(MAX_SNAPSHOTS, 60 / intervalMinutes + 1);
+  let data = s.current.data.slice(0, topN);
+  // キムチプレミアムは表示時点の参照取引所の最新価格で計算する
+  const reference = adapter.kimchiPremiumReference && store[adapter.kimchiPremiumReference]?.current;
+  if (reference) {
+    data = computeKimchiPremium(data, reference.data, { exchangeId, referenceExchangeId: adapter.kimchiPremiumReference });
+  }
+  // 先物契約の有無も表示時点の参照取引所の最新データで見る（Alpha 銘柄に後から先物が出たらすぐ反映される）
+  const futures = adapter.futuresListingReference && store[adapter.futuresListingReference]?.current;
+  if (futures) {
+    data = attachFuturesListings(data, futures.data, { exchangeId, futuresExchangeId: adapter.futuresListingReference });
+  }
+  // 取引所をまたいだ突き合わせ用の asset / multiplier（フロントはこれで銘柄を同一視する）
+  data = annotateAssets(data, exchangeId);
+  const symbols = data.map(item => item.symbol);
   return {
-    data: s.current.data,
+    data,
+    total: s.current.data.length,
     timestamp: s.current.timestamp,
-    snapshots: s.snapshots,
+    intervalMinutes,
+    ...s.current.meta,
+    kimchiPremiumReference: reference ? { exchange: adapter.kimchiPremiumReference, timestamp: reference.timestamp } : undefined,
+    freshness: getFreshness(exchangeId),
+    // 画面の PUMP 表示の基準（アラートの既定値と同じ）
+    pumpRule: PUMP_RULE,
+    snapshots: s.snapshots.slice(-servedCount).map(snap => {
+      const rankings = {};
+      for (const symbol of symbols) {
+        if (snap.rankings[symbol]) rankings[symbol] = snap.rankings[symbol];
+      }
+      return { ...snap, rankings };
+    }),
   };
 }
 
 // ════════════════════════════════════════════════════
-// 1. Binance 先物
+// API Routes（メモリ上のデータを返すだけ。取引所APIは叩かない）
 // ════════════════════════════════════════════════════
 
-const binanceApi = axios.create({
-  baseURL: 'https://fapi.binance.com',
-  timeout: 30000,
-  headers: DEFAULT_HEADERS,
+function createHandler(exchangeId) {
+  return (req, res) => {
+    const topN = parseTopN(req.query.limit);
+    if (topN === null) {
+      return res.status(400).json({ error: `limit は ${TOP_N_OPTIONS.join(' / ')} / all のいずれかを指定してください` });
+    }
+    const data = getExchangeData(exchangeId, topN);
+    if (!data) {
+      return res.status(503).json({ error: 'データ準備中です。しばらくお待ちください。' });
+    }
+    res.json(data);
+  };
+}
+
+// アダプタごとに /api/:id/top100 (+旧エンドポイント) を生成
+for (const adapter of listAdapters()) {
+  const handler = createHandler(adapter.id);
+  app.get(getEndpoint(adapter), handler);
+  for (const route of adapter.legacyRoutes || []) app.get(route, handler);
+}
+
+// フロントのタブ構築用メタデータ
+app.get('/api/exchanges', (req, res) => {
+  res.json({ exchanges: listAdapters().map(toMeta) });
 });
 
-let activeSymbolsSet = null;
+// 取引所横断ランキング（基軸通貨ごとに合算した上位100）
+app.get('/api/aggregate', (req, res) => {
+  const sources = listAdapters()
+    .filter(adapter => store[adapter.id]?.current?.data?.length)
+    .map(adapter => ({ id: adapter.id, data: store[adapter.id].current.data }));
+  if (!sources.length) {
+    return res.status(503).json({ error: 'データ準備中です。しばらくお待ちください。' });
+  }
+  res.json({
+    data: aggregateByAsset(sources),
+    exchanges: sources.map(({ id }) => {
+      const meta = toMeta(getAdapter(id));
+      return { id, label: meta.label, shortLabel: meta.shortLabel, color: meta.color, timestamp: store[id].current.timestamp };
+    }),
+    timestamp: Math.max(...sources.map(({ id }) => store[id].current.timestamp)),
+  });
+});
 
-async function fetchBinanceActiveSymbols() {
-  try {
-    const response = await fetchWithRetry(binanceApi, '/fapi/v1/exchangeInfo');
-    activeSymbolsSet = new Set(
-      response.data.symbols
-        .filter(s => s.status === 'TRADING' && s.symbol.endsWith('USDT'))
-        .map(s => s.symbol)
-    );
-    return activeSymbolsSet;
-  } catch (error) {
-    return activeSymbolsSet;
+// 銘柄詳細用: 基軸通貨が各取引所の最新データに居るか（居れば順位・価格・出来高）
+// :asset は銘柄対応表で正規化するので 1000PEPE でも PEPE でもよい
+// CEX の銘柄と同じだと確かめられない Alpha トークンは alpha:<chainId>:<contractAddress> で引く（そのトークンだけが返る）
+app.get('/api/assets/:asset', (req, res) => {
+  const { asset } = canonicalizeAsset(req.params.asset);
+  const venues = [];
+  for (const adapter of listAdapters()) {
+    const data = store[adapter.id]?.current?.data;
+    if (!data) continue;
+    const index = data.findIndex(item => resolveAsset(item, adapter.id).asset === asset);
+    if (index === -1) continue;
+    const item = data[index];
+    const { multiplier } = resolveAsset(item, adapter.id);
+    venues.push({
+      exchange: adapter.id,
+      label: adapter.label,
+      color: toMeta(adapter).color,
+      symbol: item.symbol,
+      rank: index + 1,
+      lastPrice: item.lastPrice,
+      priceChangePercent: item.priceChangePercent,
+      quoteVolume: item.quoteVolume,
+      multiplier,
+    });
   }
-}
+  res.json({ asset, venues });
+});
 
-async function fetchBinanceFutures() {
-  try {
-    const tradingSymbols = await fetchBinanceActiveSymbols();
-    await new Promise(resolve => setTimeout(resolve, 500));
-    const tickerResponse = await fetchWithRetry(binanceApi, '/fapi/v1/ticker/24hr');
-    const sorted = tickerResponse.data
-      .filter(t => {
-        if (!t.symbol.endsWith('USDT')) return false;
-        return tradingSymbols ? tradingSymbols.has(t.symbol) : true;
-      })
-      .map(t => ({
-        symbol: t.symbol,
-        lastPrice: parseFloat(t.lastPrice),
-        priceChangePercent: parseFloat(t.priceChangePercent),
-        quoteVolume: parseFloat(t.quoteVolume),
-      }))
-      .sort((a, b) => b.quoteVolume - a.quoteVolume)
-      .slice(0, 100);
-
-    saveExchangeData('binance-futures', sorted);
-    console.log(`✅ [Binance先物] ${sorted.length}銘柄取得`);
-  } catch (error) {
-    console.error(`[Binance先物] エラー: ${error.message} (code=${error.code || 'N/A'}, status=${error.response?.status || 'N/A'})`);
-    saveSnapshotFallback('binance-futures');
+// ── ウォッチリスト（X-Watchlist-Token ヘッダのトークン単位で保存） ──
+function requireWatchlistToken(req, res, next) {
+  const token = req.get('X-Watchlist-Token');
+  if (!isValidToken(token)) {
+    return res.status(400).json({ error: 'X-Watchlist-Token ヘッダに 8〜128 文字の英数字トークンを指定してください' });
   }
+  req.watchlistToken = token;
+  next();
 }
 
-// ════════════════════════════════════════════════════
-// 2. Bitget 現物
-// ════════════════════════════════════════════════════
-
-const bitgetApi = axios.create({
-  baseURL: 'https://api.bitget.com',
-  timeout: 15000,
-  headers: DEFAULT_HEADERS,
+app.get('/api/watchlist', requireWatchlistToken, (req, res) => {
+  res.json({ symbols: watchlists.get(req.watchlistToken) });
 });
 
-async function fetchBitgetSpot() {
+app.put('/api/watchlist', requireWatchlistToken, async (req, res) => {
+  let symbols;
   try {
-    const response = await fetchWithRetry(bitgetApi, '/api/v2/spot/market/tickers');
-    const sorted = response.data.data
-      .filter(t => t.symbol.endsWith('USDT'))
-      .map(t => ({
-        symbol: t.symbol,
-        lastPrice: parseFloat(t.lastPr || 0),
-        priceChangePercent: parseFloat(t.change24h || 0) * 100,
-        quoteVolume: parseFloat(t.usdtVolume || t.quoteVolume || 0),
-      }))
-      .sort((a, b) => b.quoteVolume - a.quoteVolume)
-      .slice(0, 100);
-
-    saveExchangeData('bitget-spot', sorted);
-    console.log(`✅ [Bitget現物] ${sorted.length}銘柄取得`);
+    symbols = normalizeWatchlist(req.body?.symbols);
   } catch (error) {
-    console.error('[Bitget現物] エラー:', error.message);
+    return res.status(400).json({ error: error.message });
+  }
+  try {
+    res.json({ symbols: await watchlists.set(req.watchlistToken, symbols) });
+  } catch (error) {
+    console.error(`❌ ウォッチリスト保存エラー: ${error.message}`);
+    res.status(500).json({ error: 'ウォッチリストの保存に失敗しました' });
   }
-}
-
-// ════════════════════════════════════════════════════
-// 3. Upbit 現物 (USD換算)
-// ════════════════════════════════════════════════════
-
-const upbitApi = axios.create({
-  baseURL: 'https://api.upbit.com',
-  timeout: 15000,
-  headers: DEFAULT_HEADERS,
 });
 
-let upbitMarketsList = null;
+// ── 管理 API（ADMIN_API_KEY と一致する X-Admin-Key ヘッダが必要） ──
+const requireAdminKey = createAdminAuth();
 
-async function fetchUpbitMarkets() {
+// 手動取得を開始する。取得はリトライ込みで数分かかることがあるので完了を待たずに 202 を返す
+// 取得中・デバウンス中の取引所はスキップし、1つも開始できなければ 409 / 429
+// コレクタが別プロセスなら取得依頼を保存先に置く (queued: true)。コレクタが止まっていれば 503
+async function triggerManualFetch(adapters, res) {
+  const target = activeCollector();
+  if (target === collectorClient && !isCollectorAlive(collectorClient.getStatus())) {
+    return res.status(503).json({ error: 'コレクタが稼働していません' });
+  }
+  let plan;
   try {
-    const response = await fetchWithRetry(upbitApi, '/v1/market/all?is_details=false');
-    upbitMarketsList = response.data
-      .filter(m => m.market.startsWith('KRW-'))
-      .map(m => ({ market: m.market }));
-    return upbitMarketsList;
+    plan = await target.requestManualFetch(adapters);
   } catch (error) {
-    return upbitMarketsList || [];
+    console.error(`❌ 取得依頼の保存失敗 (${storage.name}): ${error.message}`);
+    return res.status(500).json({ error: '取得依頼の保存に失敗しました' });
   }
-}
+  const { started, skipped, queued = false } = plan;
 
-async function fetchUpbitSpot() {
-  try {
-    const markets = await fetchUpbitMarkets();
-    if (!markets.length) throw new Error('マーケット一覧が取得できません');
-    const marketCodes = markets.map(m => m.market).join(',');
-    const response = await fetchWithRetry(upbitApi, `/v1/ticker?markets=${marketCodes}`);
-    const tickers = response.data;
-
-    let krwToUsd = 1 / 1450;
-    const usdtTicker = tickers.find(t => t.market === 'KRW-USDT');
-    if (usdtTicker && usdtTicker.trade_price) {
-      krwToUsd = 1 / parseFloat(usdtTicker.trade_price);
+  if (!started.length) {
+    const debounced = skipped.filter(s => s.reason === 'debounced');
+    if (debounced.length) {
+      res.set('Retry-After', String(Math.max(...debounced.map(s => s.retryAfterSeconds))));
+      return res.status(429).json({ error: '直前に取得したばかりです。しばらく待ってから再実行してください', skipped });
     }
-
-    const sorted = tickers
-      .filter(t => t.market !== 'KRW-USDT')
-      .map(t => {
-        const base = t.market.replace('KRW-', '');
-        const priceKrw = parseFloat(t.trade_price || 0);
-        const volumeKrw = parseFloat(t.acc_trade_price_24h || 0);
-        return {
-          symbol: `${base}USDT`,
-          displayName: base,
-          lastPrice: priceKrw * krwToUsd,
-          priceChangePercent: parseFloat(t.signed_change_rate || 0) * 100,
-          quoteVolume: volumeKrw * krwToUsd,
-        };
-      })
-      .sort((a, b) => b.quoteVolume - a.quoteVolume)
-      .slice(0, 100);
-
-    saveExchangeData('upbit-spot', sorted);
-    console.log(`✅ [Upbit現物] ${sorted.length}銘柄取得 (USD換算)`);
-  } catch (error) {
-    console.error('[Upbit現物] エラー:', error.message);
+    return res.status(409).json({ error: '取得中です', skipped });
   }
-}
 
-// ════════════════════════════════════════════════════
-// 4. Binance Alpha 先物
-// ════════════════════════════════════════════════════
+  res.status(202).json({ started: started.map(a => a.id), skipped, queued });
+}
 
-const binanceAlphaApiBase = axios.create({
-  baseURL: 'https://www.binance.com',
-  timeout: 15000,
-  headers: DEFAULT_HEADERS,
+app.post('/api/admin/fetch', requireAdminKey, (req, res) => {
+  triggerManualFetch(listAdapters(), res);
 });
 
-let alphaTokenList = null;
+app.post('/api/admin/:exchange/fetch', requireAdminKey, (req, res) => {
+  const adapter = getAdapter(req.params.exchange);
+  if (!adapter) {
+    return res.status(404).json({ error: `不明な取引所です: ${req.params.exchange}` });
+  }
+  triggerManualFetch([adapter], res);
+});
 
-async function fetchAlphaTokenList() {
-  try {
-    const response = await fetchWithRetry(
-      binanceAlphaApiBase,
-      '/bapi/defi/v1/public/wallet-direct/buw/wallet/cex/alpha/all/token/list'
-    );
-    alphaTokenList = response.data.data || [];
-    return alphaTokenList;
-  } catch (error) {
-    return alphaTokenList || [];
+// スナップショット削除: ?before=<時刻> より前を削除 / ?keep=<件数> 新しい方だけ残す。どちらも無ければ全削除
+// 保存先を書き換えられるのはコレクタだけなので、リーダーのコレクタに頼む (メモリと保存先の両方に適用される)
+// コレクタが別プロセスなら依頼を保存先に置いて 202 (queued: true)。コレクタが止まっていれば 503
+app.delete('/api/admin/:exchange/snapshots', requireAdminKey, async (req, res) => {
+  const exchangeId = req.params.exchange;
+  if (!getAdapter(exchangeId)) {
+    return res.status(404).json({ error: `不明な取引所です: ${exchangeId}` });
+  }
+  const before = parseTimeParam(req.query.before);
+  const keep = req.query.keep === undefined || req.query.keep === '' ? null : Number(req.query.keep);
+  if (Number.isNaN(before)) {
+    return res.status(400).json({ error: 'before はエポックミリ秒か ISO 8601 形式で指定してください' });
+  }
+  if (keep !== null && !(Number.isInteger(keep) && keep >= 0)) {
+    return res.status(400).json({ error: 'keep は 0 以上の整数で指定してください' });
   }
-}
 
-async function fetchBinanceAlpha() {
+  const options = before == null && keep == null ? { keep: 0 } : { before, keep };
+  const target = activeCollector();
+  if (target === collectorClient && !isCollectorAlive(collectorClient.getStatus())) {
+    return res.status(503).json({ error: 'コレクタが稼働していません' });
+  }
   try {
-    const alphaTokens = await fetchAlphaTokenList();
-    if (!alphaTokens.length) throw new Error('Alphaトークンリストが取得できません');
-
-    // Alphaトークンリスト自身に volume24h / price / percentChange24h が入っているのでそれを直接使う
-    // (以前は Binance先物 /fapi/v1/ticker/24hr とクロス参照していたため Binance先物と同じ出来高になっていた)
-    const sorted = alphaTokens
-      .filter(t => !t.offline && t.volume24h && parseFloat(t.volume24h) > 0)
-      .map(t => ({
-        symbol: (t.symbol || '').toUpperCase() + 'USDT',
-        displayName: (t.symbol || '').toUpperCase(),
-        lastPrice: parseFloat(t.price || 0),
-        priceChangePercent: parseFloat(t.percentChange24h || 0),
-        quoteVolume: parseFloat(t.volume24h || 0),
-      }))
-      .sort((a, b) => b.quoteVolume - a.quoteVolume)
-      .slice(0, 100);
-
-    saveExchangeData('binance-alpha', sorted);
-    console.log(`✅ [Alpha] ${sorted.length}銘柄取得 (Alpha専用出来高)`);
+    const result = await target.trimSnapshots(exchangeId, options);
+    res.status(result.queued ? 202 : 200).json({ exchange: exchangeId, ...result });
   } catch (error) {
-    console.error(`[Alpha] エラー: ${error.message} (code=${error.code || 'N/A'}, status=${error.response?.status || 'N/A'})`);
-    saveSnapshotFallback('binance-alpha');
+    console.error(`❌ [${exchangeId}] スナップショット削除エラー (${storage.name}): ${error.message}`);
+    res.status(500).json({ error: '保存データの書き換えに失敗しました' });
   }
-}
+});
 
-// ════════════════════════════════════════════════════
-// 全取引所のデータ一括取得（起動時+正時に呼ぶ）
-// ════════════════════════════════════════════════════
+// スケジューラの状態: 次回の定期取得時刻と対象、取引所ごとの取得中フラグ・手動取得の再実行可能まで
+app.get('/api/admin/scheduler', requireAdminKey, (req, res) => {
+  const toIso = timestamp => (timestamp ? new Date(timestamp).toISOString() : null);
+  const target = activeCollector();
+  const nextRun = target.getStatus()?.nextRun;
+  res.json({
+    nextRun: nextRun && {
+      at: toIso(nextRun.at),
+      jst: formatJST(nextRun.at),
+      exchanges: nextRun.exchanges,
+    },
+    exchanges: listAdapters().map(adapter => ({
+      id: adapter.id,
+      intervalMinutes: getIntervalMinutes(adapter),
+      fetching: target.isFetching(adapter.id),
+      lastAttempt: toIso(getFetchStatus(adapter.id)?.lastAttemptAt),
+      lastSuccess: toIso(getFetchStatus(adapter.id)?.lastSuccessAt),
+      manualFetchAvailableInSeconds: Math.ceil(target.manualFetchRemainingMs(adapter.id) / 1000),
+    })),
+  });
+});
 
-async function fetchAllExchanges() {
-  const timeLabel = getJSTTimeLabel();
-  console.log(`\n🔄 [${timeLabel}] 全取引所データ取得開始...`);
+// 上場・上場廃止のイベント（新しい順）
+// /api/events?since=<ms|ISO>&exchange=upbit-spot&type=listing&limit=50
+const MAX_EVENTS_LIMIT = 500;
 
-  // 順番に取得（レートリミット回避）
-  await fetchBinanceFutures();
-  await new Promise(r => setTimeout(r, 1000));
-  await fetchBitgetSpot();
-  await new Promise(r => setTimeout(r, 1000));
-  await fetchUpbitSpot();
-  await new Promise(r => setTimeout(r, 1000));
-  await fetchBinanceAlpha();
+app.get('/api/events', (req, res) => {
+  const since = parseTimeParam(req.query.since);
+  if (Number.isNaN(since)) {
+    return res.status(400).json({ error: 'since はエポックミリ秒か ISO 8601 形式で指定してください' });
+  }
+  const { exchange, type } = req.query;
+  if (exchange && !getAdapter(exchange)) {
+    return res.status(400).json({ error: `不明な取引所です: ${exchange}` });
+  }
+  if (type && !EVENT_TYPES.includes(type)) {
+    return res.status(400).json({ error: `type は ${EVENT_TYPES.join(' / ')} のいずれかを指定してください` });
+  }
+  const limit = req.query.limit === undefined ? undefined : Number(req.query.limit);
+  if (limit !== undefined && (!Number.isInteger(limit) || limit < 1 || limit > MAX_EVENTS_LIMIT)) {
+    return res.status(400).json({ error: `limit は 1〜${MAX_EVENTS_LIMIT} の整数で指定してください` });
+  }
+  res.json({ events: listingStore.query({ since, exchange, type, limit }) });
+});
 
-  console.log(`✅ [${timeLabel}] 全取引所データ取得完了\n`);
-}
+// 直近に発火したアラート（新しい順）
+app.get('/api/alerts', (req, res) => {
+  const alerts = activeCollector().getStatus()?.alerts;
+  res.json({ rules: alerts?.rules || [], alerts: [...(alerts?.recent || [])].reverse() });
+});
 
-// ════════════════════════════════════════════════════
-// 30分スケジューラ（毎時 00 分・30 分にデータ取得）
-// ════════════════════════════════════════════════════
+// ── リアルタイム配信 (Server-Sent Events) ──
+// 新しいスナップショットが保存されると event: snapshot で { exchange, time, timestamp } を送る
+// クライアントは受け取った取引所のデータを通常の API で取り直す
+// 上場・上場廃止を検知すると event: listing でイベントそのもの (/api/events の1件と同じ形) を送る
 
-function scheduleNextHalfHourlyFetch() {
-  const now = new Date();
-  // 次の30分刻み（XX:00 または XX:30）までのミリ秒を計算（2秒バッファで確実に超える）
-  const minutesUntilNext = 30 - (now.getMinutes() % 30);
-  const msUntilNext =
-    minutesUntilNext * 60000 -
-    now.getSeconds() * 1000 -
-    now.getMilliseconds() +
-    2000; // 2秒バッファ
-
-  const nextTime = new Date(now.getTime() + msUntilNext);
-  const nextJST = new Date(nextTime.getTime() + 9 * 60 * 60 * 1000);
-  console.log(`⏰ 次のデータ取得: ${String(nextJST.getUTCHours()).padStart(2, '0')}:${String(nextJST.getUTCMinutes()).padStart(2, '0')} (${Math.round(msUntilNext / 1000)}秒後)`);
-
-  setTimeout(async () => {
-    try {
-      await fetchAllExchanges();
-    } catch (err) {
-      console.error('❌ 30分データ取得エラー:', err.message);
-    }
-    // 完了後、次の30分刻みを再計算してスケジュール（ドリフトしない）
-    scheduleNextHalfHourlyFetch();
-  }, msUntilNext);
-}
+const SSE_HEARTBEAT_MS = 25000;
 
-// ════════════════════════════════════════════════════
-// API Routes（メモリ上のデータを返すだけ。取引所APIは叩かない）
-// ════════════════════════════════════════════════════
+app.get('/api/stream', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  // 切断時の再接続間隔をブラウザに指示
+  res.write('retry: 5000\n\n');
 
-function createHandler(exchangeId) {
-  return (req, res) => {
-    const data = getExchangeData(exchangeId);
-    if (!data) {
-      return res.status(503).json({ error: 'データ準備中です。しばらくお待ちください。' });
-    }
-    res.json(data);
+  const onSnapshot = (payload) => {
+    res.write(`event: snapshot\ndata: ${JSON.stringify(payload)}\n\n`);
   };
-}
+  const onListing = (event) => {
+    res.write(`event: listing\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+  // プロキシ(Render 等)にアイドル切断されないようコメント行を定期送信
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
+
+  dataStore.events.on('snapshot', onSnapshot);
+  listingStore.events.on('listing', onListing);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    dataStore.events.off('snapshot', onSnapshot);
+    listingStore.events.off('listing', onListing);
+  });
+});
+
+// 履歴: /api/binance-futures/history?from=<ms|ISO>&to=<ms|ISO>&symbol=BTCUSDT,ETHUSDT&limit=100
+// from/to 省略時は直近24時間。メモリに保持している全スナップショットが対象
+// retentionMs (スナップショットの保持期間) も返す。保持している全期間が欲しければ from=0
+// (SNAPSHOT_FULL_RANKINGS_HOURS より古いスナップショットはメモリ上で上位200位までに絞っているので、それより下位の銘柄は出ない)
+// symbol 指定時は順位に関係なく全期間、未指定時は各時刻で limit 位以内 (デフォルト100) のみ返す
+app.get('/api/:exchange/history', (req, res) => {
+  if (!getAdapter(req.params.exchange)) {
+    return res.status(404).json({ error: `不明な取引所です: ${req.params.exchange}` });
+  }
+  const s = store[req.params.exchange];
+  if (!s) {
+    return res.status(503).json({ error: 'データ準備中です。しばらくお待ちください。' });
+  }
+
+  const from = parseTimeParam(req.query.from);
+  const to = parseTimeParam(req.query.to);
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return res.status(400).json({ error: 'from / to はエポックミリ秒か ISO 8601 形式で指定してください' });
+  }
+  if (from != null && to != null && from > to) {
+    return res.status(400).json({ error: 'from は to 以前の時刻を指定してください' });
+  }
+
+  const symbols = parseSymbolsParam(req.query.symbol);
+  const topN = parseTopN(req.query.limit);
+  if (topN === null) {
+    return res.status(400).json({ error: `limit は ${TOP_N_OPTIONS.join(' / ')} / all のいずれかを指定してください` });
+  }
+  const maxRank = symbols && req.query.limit === undefined ? Infinity : topN;
+  const result = queryHistory(s.snapshots, { from, to, symbols, maxRank });
+  res.json({ exchange: req.params.exchange, retentionMs: SNAPSHOT_RETENTION_MS, ...result });
+});
+
+// エクスポート: /api/binance-futures/export.csv (or .json)?limit=100&from=&to=
+// from/to 省略時は画面と同じ直近のスナップショット、指定時はその範囲の全スナップショットを列にする
+app.get('/api/:exchange/export.:format', (req, res) => {
+  const { exchange, format } = req.params;
+  if (!getAdapter(exchange)) {
+    return res.status(404).json({ error: `不明な取引所です: ${exchange}` });
+  }
+  if (format !== 'csv' && format !== 'json') {
+    return res.status(404).json({ error: `未対応の形式です: ${format} (csv / json)` });
+  }
+  const topN = parseTopN(req.query.limit);
+  if (topN === null) {
+    return res.status(400).json({ error: `limit は ${TOP_N_OPTIONS.join(' / ')} / all のいずれかを指定してください` });
+  }
+  const from = parseTimeParam(req.query.from);
+  const to = parseTimeParam(req.query.to);
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return res.status(400).json({ error: 'from / to はエポックミリ秒か ISO 8601 形式で指定してください' });
+  }
 
-app.get('/api/volume/top100', createHandler('binance-futures'));
-app.get('/api/bitget/spot/top100', createHandler('bitget-spot'));
-app.get('/api/upbit/spot/top100', createHandler('upbit-spot'));
-app.get('/api/binance/alpha/top100', createHandler('binance-alpha'));
+  const data = getExchangeData(exchange, topN);
+  if (!data) {
+    return res.status(503).json({ error: 'データ準備中です。しばらくお待ちください。' });
+  }
+  const snapshots = from == null && to == null
+    ? data.snapshots
+    : store[exchange].snapshots.filter(snap => snap.timestamp >= (from ?? 0) && snap.timestamp <= (to ?? Infinity));
+
+  const exported = buildExport(exchange, data, snapshots);
+  const stamp = formatJST(exported.generatedAt.timestamp).replace(/[-: ]/g, '').replace('JST', '');
+  const filename = `${exchange}_${stamp}JST.${format}`;
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  if (format === 'csv') {
+    res.type('text/csv; charset=utf-8').send(toCsv(exported));
+  } else {
+    res.json(exported);
+  }
+});
 
+// 取引所ごとの鮮度と取得失敗回数、コレクタの稼働状況
+// どれか1つでも連続失敗中、またはコレクタの状態更新が途絶えていれば status は 'degraded'
 app.get('/api/health', (req, res) => {
-  const exchanges = Object.keys(store).map(id => ({
-    id,
-    hasData: !!store[id]?.current,
-    snapshots: store[id]?.snapshots?.length || 0,
-    lastUpdate: store[id]?.current?.timestamp
-      ? new Date(store[id].current.timestamp).toISOString()
-      : null,
+  const toIso = timestamp => (timestamp ? new Date(timestamp).toISOString() : null);
+  const now = Date.now();
+  const collectorStatus = activeCollector().getStatus();
+  const exchanges = listAdapters().map(adapter => {
+    const { id } = adapter;
+    const status = getFetchStatus(id) || {};
+    const freshness = getFreshness(id);
+    const latest = store[id]?.snapshots?.[store[id].snapshots.length - 1];
+    return {
+      id,
+      hasData: !!store[id]?.current,
+      snapshots: store[id]?.snapshots?.length || 0,
+      lastUpdate: toIso(freshness.dataTimestamp),
+      ageSeconds: freshness.dataTimestamp ? Math.round((now - freshness.dataTimestamp) / 1000) : null,
+      intervalMinutes: getIntervalMinutes(adapter),
+      stale: freshness.stale,
+      latestSnapshotSource: latest ? latest.source || 'live' : null,
+      lastAttempt: toIso(status.lastAttemptAt),
+      lastSuccess: toIso(status.lastSuccessAt),
+      failingSince: toIso(freshness.failingSince),
+      consecutiveFailures: freshness.consecutiveFailures,
+      totalFailures: status.totalFailures || 0,
+      totalSuccesses: status.totalSuccesses || 0,
+      lastError: status.lastError || null,
+    };
+  });
+  const collectorInfo = {
+    mode: COLLECTOR_MODE,
+    leaderInThisProcess: !!collector?.isLeader(),
+    owner: collectorStatus?.owner || null,
+    leaderSince: toIso(collectorStatus?.leaderSince),
+    lastHeartbeat: toIso(collectorStatus?.heartbeatAt),
+    oneShot: !!collectorStatus?.oneShot,
+    alive: isCollectorAlive(collectorStatus, now),
+  };
+  const degraded = exchanges.some(e => e.stale) || !collectorInfo.alive;
+  const rateLimits = Object.entries(collectorStatus?.rateLimits || {}).map(([host, s]) => ({
+    host,
+    waits: s.waits,
+    waitSeconds: Math.round(s.waitMs / 1000),
+    blocks: s.blocks,
+    lastThrottled: toIso(s.lastThrottledAt),
   }));
-  res.json({ status: 'ok', uptime: process.uptime(), exchanges });
+  res.json({
+    status: degraded ? 'degraded' : 'ok',
+    uptime: process.uptime(),
+    storage: storage.name,
+    collector: collectorInfo,
+    exchanges,
+    rateLimits,
+  });
+});
+
+// Prometheus 形式のメトリクス。取引所ごとの状態はスクレイプ時点の値を出す
+// 取得回数・HTTP のカウンタはコレクタのプロセスにしか無い（COLLECTOR_MODE=external ならコレクタの COLLECTOR_METRICS_PORT を見る）
+app.get('/metrics', (req, res) => {
+  metrics.updateExchangeGauges(listAdapters().map(a => a.id), store, activeCollector().getStatus()?.fetchStatus);
+  res.type('text/plain; version=0.0.4; charset=utf-8').send(metrics.renderMetrics());
 });
 
 // ── 本番環境: フロントエンド配信 ──
@@ -398,8 +556,23 @@ if (process.env.NODE_ENV === 'production') {
 
 // ── サーバー起動 ──
 app.listen(PORT, '0.0.0.0', async () => {
-  console.log(`✅ サーバー起動: http://localhost:${PORT}`);
-  console.log('📸 起動時データ取得中...');
-  await fetchAllExchanges();
-  scheduleNextHalfHourlyFetch();
+  console.log(`✅ サーバー起動: http://localhost:${PORT} (COLLECTOR_MODE=${COLLECTOR_MODE})`);
+  try {
+    await dataStore.load();
+    await listingStore.load();
+    await watchlists.load();
+    await collectorClient.refresh();
+  } catch (error) {
+    console.error(`❌ 保存データの復元失敗 (${storage.name}): ${error.message}`);
+  }
+  collector?.start();
+  setInterval(syncFromStorage, STORE_SYNC_MS);
 });
+
+// 停止時にリーダーロックを返し、他のプロセスのコレクタがすぐ引き継げるようにする
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, async () => {
+    await collector?.stop();
+    process.exit(0);
+  });
+}
@@ -0,0 +1,425 @@
+const fs = require('fs');
+const { once } = require('events');
+const path = require('path');
+
+// ════════════════════════════════════════════════════
+// 永続化レイヤー
+// store の中身(current + snapshots)とウォッチリストをディスクに書き出し、起動時に復元する
+// STORAGE_BACKEND=jsonl(デフォルト) / memory で切り替え
+// コレクタと API サーバーを別プロセスで動かすときは、両方が同じ保存先 (DATA_DIR) を共有する
+//   getVersions … 取引所ごとの更新有無の判定用 (API 側はこれが変わった取引所だけ読み直す)
+//   collector status … コレクタの取得状況 (/api/health 用)
+//   lock … コレクタのリーダーロック (期限付き。期限切れなら他のプロセスが奪える)
+//   fetch requests … API から稼働中のコレクタへの依頼 (手動取得・スナップショット削除)
+//   instruments … 取引所ごとの前回の銘柄一覧 (上場・上場廃止の検知の比較元)
+//   listing events … 検知した上場・上場廃止 (追記のみ)
+// memory はプロセス内でしか共有できないので、コレクタ内蔵 (COLLECTOR_MODE=embedded) 専用
+// ════════════════════════════════════════════════════
+
+const DEFAULT_DATA_DIR = path.join(__dirname, 'data');
+
+// 永続化なし（テスト・ローカル確認用）
+function createMemoryStorage() {
+  const locks = new Map();
+  let watchlists = {};
+  let collectorStatus = null;
+  let fetchRequests = [];
+  const instruments = {};
+  const listingEvents = [];
+
+  return {
+    name: 'memory',
+    shared: false,
+    async load() {
+      return {};
+    },
+    async loadExchange() {
+      return null;
+    },
+    async getVersions() {
+      return {};
+    },
+    async appendSnapshot() {},
+    async pruneSnapshots() {
+      return null;
+    },
+    async saveCurrent() {},
+    // ウォッチリストは保存のたびに読み直されるので、プロセス内では保持する
+    async loadWatchlists() {
+      return { ...watchlists };
+    },
+    async saveWatchlists(value) {
+      watchlists = { ...value };
+    },
+    async loadCollectorStatus() {
+      return collectorStatus;
+    },
+    async saveCollectorStatus(status) {
+      collectorStatus = status;
+    },
+    async tryAcquireLock(name, owner, ttlMs) {
+      const now = Date.now();
+      const held = locks.get(name);
+      const live = held && held.expiresAt > now;
+      if (live && held.owner !== owner) return false;
+      locks.set(name, { owner, acquiredAt: live ? held.acquiredAt : now, expiresAt: now + ttlMs });
+      return true;
+    },
+    async readLock(name) {
+      return locks.get(name) || null;
+    },
+    async releaseLock(name, owner) {
+      if (locks.get(name)?.owner === owner) locks.delete(name);
+    },
+    async pushFetchRequest(request) {
+      fetchRequests.push(request);
+    },
+    async takeFetchRequests() {
+      const taken = fetchRequests;
+      fetchRequests = [];
+      return taken;
+    },
+    async loadInstruments(exchangeId) {
+      return instruments[exchangeId] || null;
+    },
+    async saveInstruments(exchangeId, list) {
+      instruments[exchangeId] = list;
+    },
+    async loadListingEvents() {
+      return [...listingEvents];
+    },
+    async appendListingEvents(events) {
+      listingEvents.push(...events);
+    },
+  };
+}
+
+// 取引所ごとに
+//   <id>.snapshots.jsonl … スナップショットを1行1件で追記。古い分はコレクタが pruneSnapshots で書き直して捨てる
+//   <id>.current.json    … 最新データ(上書き。tmp に書いてから rename)
+// と、全ユーザー分の watchlists.json (同じく上書き)
+// コレクタ用に collector-status.json、locks/<名前>.lock、fetch-requests/<依頼ごと>.json
+// 上場検知用に instruments/<id>.json (前回の銘柄一覧) と listing-events.jsonl (追記のみ)
+function createJsonlStorage(dataDir = DEFAULT_DATA_DIR) {
+  const snapshotsFile = (exchangeId) => path.join(dataDir, `${exchangeId}.snapshots.jsonl`);
+  const currentFile = (exchangeId) => path.join(dataDir, `${exchangeId}.current.json`);
+  const watchlistsFile = path.join(dataDir, 'watchlists.json');
+  const collectorStatusFile = path.join(dataDir, 'collector-status.json');
+  const locksDir = path.join(dataDir, 'locks');
+  const lockFile = (name) => path.join(locksDir, `${name}.lock`);
+  const fetchRequestsDir = path.join(dataDir, 'fetch-requests');
+  const instrumentsFile = (exchangeId) => path.join(dataDir, 'instruments', `${exchangeId}.json`);
+  const listingEventsFile = path.join(dataDir, 'listing-events.jsonl');
+
+  async function ensureDir(dir = dataDir) {
+    await fs.promises.mkdir(dir, { recursive: true });
+  }
+
+  function parseJsonLine(line, file) {
+    if (!line.trim()) return null;
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      // 書き込み途中で落ちた最終行などは読み飛ばす
+      console.error(`⚠️ 行の読み込み失敗 (${path.basename(file)}): ${error.message}`);
+      return null;
+    }
+  }
+
+  // file の start バイト目以降を1行ずつ読み、パース結果と行のテキストを onLine に渡す（ファイル全体は読み込まない）
+  // onLine が Promise を返したら待つ (書き出し側の詰まり待ち用)。改行で終わっていない最終行は書き込み途中なので読まない
+  // 返り値: 読み終えた位置 (次回の start)
+  async function streamJsonLines(file, onLine, start = 0) {
+    let offset = start;
+    let rest = null;
+    for await (const chunk of fs.createReadStream(file, { start })) {
+      const buffer = rest ? Buffer.concat([rest, chunk]) : chunk;
+      let lineStart = 0;
+      let newline;
+      while ((newline = buffer.indexOf(0x0a, lineStart)) !== -1) {
+        const line = buffer.toString('utf8', lineStart, newline);
+        const row = parseJsonLine(line, file);
+        if (row) await onLine(row, line);
+        lineStart = newline + 1;
+      }
+      offset += lineStart;
+      rest = lineStart < buffer.length ? buffer.subarray(lineStart) : null;
+    }
+    return offset;
+  }
+
+  async function readJsonLines(file) {
+    const rows = [];
+    await streamJsonLines(file, row => rows.push(row));
+    return rows;
+  }
+
+  async function readJson(file) {
+    try {
+      return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`⚠️ 読み込み失敗 (${path.basename(file)}): ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  // 同じファイルへの書き込みが(別プロセスからも)重なることがあるので tmp は書き込みごとに分ける
+  let tmpCounter = 0;
+  async function writeJsonAtomic(file, value) {
+    await ensureDir(path.dirname(file));
+    const tmp = `${file}.${process.pid}.${++tmpCounter}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(value));
+    await fs.promises.rename(tmp, file);
+  }
+
+  async function statVersion(file) {
+    try {
+      const stat = await fs.promises.stat(file);
+      return `${stat.mtimeMs}:${stat.size}`;
+    } catch (error) {
+      if (error.code === 'ENOENT') return '-';
+      throw error;
+    }
+  }
+
+  /**
+   * スナップショット (since 以降だけ。1行ずつ mapSnapshot を通す) と最新データを読む
+   * after に前回の cursor を渡すと、ファイルが同じ (追記されただけ) ならその続きだけを読む (incremental: true)
+   * 間引きでファイルが置き換わっていれば最初から読み直す
+   * 返り値: { current, snapshots, cursor: { ino, offset }, incremental } (スナップショットのファイルが無ければ null)
+   */
+  async function loadExchange(exchangeId, { since = -Infinity, mapSnapshot = snap => snap, after = null } = {}) {
+    const file = snapshotsFile(exchangeId);
+    const snapshots = [];
+    let ino;
+    let offset;
+    let incremental = false;
+    try {
+      ({ ino } = await fs.promises.stat(file));
+      incremental = after?.ino === ino;
+      offset = await streamJsonLines(file, snap => {
+        if (snap.timestamp >= since) snapshots.push(mapSnapshot(snap));
+      }, incremental ? after.offset : 0);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+    return { current: await readJson(currentFile(exchangeId)), snapshots, cursor: { ino, offset }, incremental };
+  }
+
+  // 条件に合うスナップショットだけを残してファイルを書き直す。1行ずつ読み書きし、tmp から rename で置き換える
+  // keep (新しい方から残す件数) があれば、1回目で件数を数えてから2回目で書き出す
+  // 返り値: { before, after } (件数)
+  async function pruneSnapshots(exchangeId, { before = null, keep = null } = {}) {
+    const file = snapshotsFile(exchangeId);
+    const isRecent = snap => before == null || snap.timestamp >= before;
+    let total = 0;
+    let recent = 0;
+    try {
+      await streamJsonLines(file, snap => {
+        total++;
+        if (isRecent(snap)) recent++;
+      });
+    } catch (error) {
+      if (error.code === 'ENOENT') return { before: 0, after: 0 };
+      throw error;
+    }
+    const skip = keep == null ? 0 : Math.max(recent - keep, 0);
+    const tmp = `${file}.${process.pid}.${++tmpCounter}.tmp`;
+    const out = fs.createWriteStream(tmp);
+    let index = 0;
+    let kept = 0;
+    try {
+      await streamJsonLines(file, (snap, line) => {
+        if (!isRecent(snap) || index++ < skip) return;
+        kept++;
+        return out.write(line + '\n') ? undefined : once(out, 'drain');
+      });
+      await new Promise((resolve, reject) => out.end(error => (error ? reject(error) : resolve())));
+      await fs.promises.rename(tmp, file);
+    } catch (error) {
+      out.destroy();
+      await fs.promises.unlink(tmp).catch(() => {});
+      throw error;
+    }
+    return { before: total, after: kept };
+  }
+
+  async function listExchangeIds() {
+    let files;
+    try {
+      files = await fs.promises.readdir(dataDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    return files.map(file => file.match(/^(.+)\.snapshots\.jsonl$/)?.[1]).filter(Boolean);
+  }
+
+  return {
+    name: 'jsonl',
+    shared: true,
+    dataDir,
+
+    async load(options) {
+      const result = {};
+      for (const exchangeId of await listExchangeIds()) {
+        const saved = await loadExchange(exchangeId, options);
+        if (saved) result[exchangeId] = saved;
+      }
+      return result;
+    },
+
+    loadExchange,
+
+    // { 取引所id: 'スナップショットと最新データのファイルの更新時刻・サイズ' }
+    async getVersions() {
+      const versions = {};
+      for (const exchangeId of await listExchangeIds()) {
+        versions[exchangeId] = `${await statVersion(snapshotsFile(exchangeId))}|${await statVersion(currentFile(exchangeId))}`;
+      }
+      return versions;
+    },
+
+    async appendSnapshot(exchangeId, snapshot) {
+      await ensureDir();
+      await fs.promises.appendFile(snapshotsFile(exchangeId), JSON.stringify(snapshot) + '\n');
+    },
+
+    pruneSnapshots,
+
+    async saveCurrent(exchangeId, current) {
+      await writeJsonAtomic(currentFile(exchangeId), current);
+    },
+
+    async loadWatchlists() {
+      return (await readJson(watchlistsFile)) || {};
+    },
+
+    async saveWatchlists(watchlists) {
+      await writeJsonAtomic(watchlistsFile, watchlists);
+    },
+
+    async loadCollectorStatus() {
+      return readJson(collectorStatusFile);
+    },
+
+    async saveCollectorStatus(status) {
+      await writeJsonAtomic(collectorStatusFile, status);
+    },
+
+    // 取れたら(自分が持っていて期限内なら期限を延長して) true
+    // 新規作成は wx で行い、同時に成功するのは1プロセスだけ
+    // 期限切れのロックは rename で退かしてから作り直す。読んでから rename するまでの間に他のプロセスが
+    // 退かして新しいロックを作っていると、その新しいロックを退かしてしまうので、退かした中身が読んだときの
+    // ロックと違えば戻して諦める（戻す前に別のプロセスが作っていたら、元の持ち主は次の延長で気付いて降りる）
+    // 自分のロックでも期限切れなら延長しない。止まっている間に他のプロセスが取り直していることがあり、
+    // 上書きすると2つのプロセスが両方リーダーになるので、他のプロセスと同じく退かしてから作り直す
+    async tryAcquireLock(name, owner, ttlMs) {
+      const file = lockFile(name);
+      await ensureDir(locksDir);
+      const now = Date.now();
+      const held = await readJson(file);
+      if (held && held.expiresAt > now) {
+        if (held.owner !== owner) return false;
+        await writeJsonAtomic(file, { ...held, expiresAt: now + ttlMs });
+        return true;
+      }
+      if (held) {
+        const stale = `${file}.${process.pid}.${++tmpCounter}.stale`;
+        try {
+          await fs.promises.rename(file, stale);
+        } catch (error) {
+          if (error.code === 'ENOENT') return false;
+          throw error;
+        }
+        const moved = await readJson(stale);
+        if (moved?.owner !== held.owner || moved?.acquiredAt !== held.acquiredAt || moved?.expiresAt !== held.expiresAt) {
+          await fs.promises.link(stale, file).catch(error => {
+            if (error.code !== 'EEXIST') throw error;
+          });
+          await fs.promises.unlink(stale).catch(() => {});
+          return false;
+        }
+        await fs.promises.unlink(stale).catch(() => {});
+      }
+      try {
+        await fs.promises.writeFile(file, JSON.stringify({ owner, acquiredAt: now, expiresAt: now + ttlMs }), { flag: 'wx' });
+        return true;
+      } catch (error) {
+        if (error.code === 'EEXIST') return false;
+        throw error;
+      }
+    },
+
+    async readLock(name) {
+      return readJson(lockFile(name));
+    },
+
+    async releaseLock(name, owner) {
+      const held = await readJson(lockFile(name));
+      if (held?.owner === owner) await fs.promises.unlink(lockFile(name)).catch(() => {});
+    },
+
+    // 依頼1件を1ファイルにする（書き込み側と取り出し側でファイルを取り合わない）
+    async pushFetchRequest(request) {
+      await ensureDir(fetchRequestsDir);
+      const name = `${Date.now()}-${process.pid}-${Math.random().toString(36).slice(2, 8)}.json`;
+      await writeJsonAtomic(path.join(fetchRequestsDir, name), request);
+    },
+
+    async takeFetchRequests() {
+      let files;
+      try {
+        files = await fs.promises.readdir(fetchRequestsDir);
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+      const requests = [];
+      for (const file of files.filter(f => f.endsWith('.json')).sort()) {
+        const request = await readJson(path.join(fetchRequestsDir, file));
+        await fs.promises.unlink(path.join(fetchRequestsDir, file)).catch(() => {});
+        if (request) requests.push(request);
+      }
+      return requests;
+    },
+
+    async loadInstruments(exchangeId) {
+      return (await readJson(instrumentsFile(exchangeId)))?.instruments || null;
+    },
+
+    async saveInstruments(exchangeId, instruments) {
+      await writeJsonAtomic(instrumentsFile(exchangeId), { savedAt: Date.now(), instruments });
+    },
+
+    async loadListingEvents() {
+      try {
+        return await readJsonLines(listingEventsFile);
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+    },
+
+    async appendListingEvents(events) {
+      await ensureDir();
+      await fs.promises.appendFile(listingEventsFile, events.map(event => JSON.stringify(event) + '\n').join(''));
+    },
+  };
+}
+
+function createStorage(type = process.env.STORAGE_BACKEND || 'jsonl') {
+  switch (type) {
+    case 'memory':
+      return createMemoryStorage();
+    case 'jsonl':
+      return createJsonlStorage(process.env.DATA_DIR || DEFAULT_DATA_DIR);
+    default:
+      throw new Error(`未対応の STORAGE_BACKEND: ${type}`);
+  }
+}
+
+module.exports = { createStorage, createMemoryStorage, createJsonlStorage };
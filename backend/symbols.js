@@ -0,0 +1,22 @@
+// ════════════════════════════════════════════════════
+// シンボル → 取引所での基軸通貨の表記 (フロントの parseSymbol / displayName と同じ規則)
+// 取引所をまたいで突き合わせるときは、これを銘柄対応表 (assets.js) で正規化した asset を使う
+// ════════════════════════════════════════════════════
+
+const QUOTE_SUFFIXES = ['USDT', 'KRW'];
+
+function parseSymbol(symbol) {
+  for (const suffix of QUOTE_SUFFIXES) {
+    if (symbol.endsWith(suffix)) {
+      return { base: symbol.slice(0, -suffix.length), quote: suffix };
+    }
+  }
+  return { base: symbol, quote: '' };
+}
+
+// Upbit / Alpha などは displayName に基軸通貨を持っているのでそちらを優先
+function getBaseAsset(item) {
+  return (item.displayName || parseSymbol(item.symbol).base).toUpperCase();
+}
+
+module.exports = { parseSymbol, getBaseAsset };
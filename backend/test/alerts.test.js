@@ -0,0 +1,159 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadAlertRules, detectPumps, createAlertEngine } = require('../alerts');
+const { silenceLogs } = require('./helpers/mock-exchange');
+
+// ════════════════════════════════════════════════════
+// アラート: PUMP 判定・クールダウン・Webhook の形式・上場通知
+// Webhook の送信 (post) は差し替えて、送ったボディを記録する
+// ════════════════════════════════════════════════════
+
+const MINUTE_MS = 60 * 1000;
+const WEBHOOK_URL = 'https://hooks.example.test/alert';
+
+test.before(() => silenceLogs());
+
+// { symbol: rank } → スナップショット
+function snapshot(ranks) {
+  const rankings = {};
+  for (const [symbol, rank] of Object.entries(ranks)) rankings[symbol] = { rank, volume: 1000 - rank };
+  return { timestamp: 0, rankings };
+}
+
+function createRecordingEngine(rules) {
+  const posts = [];
+  const engine = createAlertEngine({ rules, post: async (url, body) => { posts.push({ url, body }); } });
+  return { engine, posts };
+}
+
+function rule(overrides = {}) {
+  return { id: 'test', webhooks: [{ url: WEBHOOK_URL, format: 'json' }], ...overrides };
+}
+
+// BTC は順位そのまま、PEPE は 30位 → 5位、WIF は圏外 (150位) → 20位、DOGE は初登場で 8位
+const previous = snapshot({ BTCUSDT: 1, PEPEUSDT: 30, WIFUSDT: 150 });
+const current = snapshot({ BTCUSDT: 1, PEPEUSDT: 5, WIFUSDT: 20, DOGEUSDT: 8 });
+
+test('detectPumps: 順位上昇と圏外からのランクインを上昇幅の大きい順に返す', () => {
+  const pumps = detectPumps([previous, current]);
+  assert.deepStrictEqual(pumps.map(p => [p.symbol, p.prevRank, p.curRank, p.score, p.isNew]), [
+    ['WIFUSDT', 150, 20, 130, true],
+    ['DOGEUSDT', null, 8, 93, true],
+    ['PEPEUSDT', 30, 5, 25, false],
+  ]);
+});
+
+test('detectPumps: minRankJump・includeNewEntries・100位より下の銘柄', () => {
+  assert.deepStrictEqual(detectPumps([previous, current], { minRankJump: 30 }).map(p => p.symbol), ['WIFUSDT', 'DOGEUSDT']);
+  assert.deepStrictEqual(detectPumps([previous, current], { includeNewEntries: false }).map(p => p.symbol), ['PEPEUSDT']);
+  // 現在 100位より下は上昇幅があっても対象外
+  assert.deepStrictEqual(detectPumps([snapshot({ XUSDT: 300 }), snapshot({ XUSDT: 101 })]), []);
+  assert.deepStrictEqual(detectPumps([current]), []);
+});
+
+test('handleSnapshot: 同じ銘柄はクールダウンの間は再通知しない', async () => {
+  const { engine, posts } = createRecordingEngine([rule({ cooldownMinutes: 10, includeNewEntries: false })]);
+  const now = Date.now();
+
+  await engine.handleSnapshot('binance-futures', 'Binance先物', [previous, current], now);
+  assert.strictEqual(posts.length, 1);
+  assert.deepStrictEqual(posts[0].body.alerts.map(p => p.symbol), ['PEPEUSDT']);
+
+  await engine.handleSnapshot('binance-futures', 'Binance先物', [previous, current], now + 5 * MINUTE_MS);
+  assert.strictEqual(posts.length, 1);
+  // 別の取引所は別に数える
+  await engine.handleSnapshot('bybit-linear', 'Bybit', [previous, current], now + 5 * MINUTE_MS);
+  assert.strictEqual(posts.length, 2);
+
+  await engine.handleSnapshot('binance-futures', 'Binance先物', [previous, current], now + 10 * MINUTE_MS);
+  assert.strictEqual(posts.length, 3);
+  assert.strictEqual(engine.getRecentAlerts().length, 3);
+});
+
+test('handleSnapshot: Webhook の形式ごとのボディ', async () => {
+  process.env.TEST_ALERT_WEBHOOK_URL = 'https://hooks.example.test/from-env';
+  const { engine, posts } = createRecordingEngine([rule({
+    includeNewEntries: false,
+    webhooks: [
+      { url: `${WEBHOOK_URL}/discord`, format: 'discord' },
+      { url: `${WEBHOOK_URL}/slack`, format: 'slack' },
+      { url: `${WEBHOOK_URL}/telegram`, format: 'telegram', chatId: '-100123' },
+      { urlEnv: 'TEST_ALERT_WEBHOOK_URL', format: 'json' },
+    ],
+  })]);
+  await engine.handleSnapshot('binance-futures', 'Binance先物', [previous, current], 1000);
+
+  const text = '[Binance先物] PUMP検知\n🔥 PEPEUSDT #30 → #5 (+25)';
+  const byUrl = Object.fromEntries(posts.map(p => [p.url, p.body]));
+  assert.deepStrictEqual(byUrl[`${WEBHOOK_URL}/discord`], { content: text });
+  assert.deepStrictEqual(byUrl[`${WEBHOOK_URL}/slack`], { text });
+  assert.deepStrictEqual(byUrl[`${WEBHOOK_URL}/telegram`], { chat_id: '-100123', text });
+  const json = byUrl['https://hooks.example.test/from-env'];
+  assert.strictEqual(json.text, text);
+  assert.strictEqual(json.type, 'pump');
+  assert.strictEqual(json.rule, 'test');
+  assert.strictEqual(json.exchange, 'binance-futures');
+  assert.strictEqual(json.timestamp, 1000);
+  assert.deepStrictEqual(json.alerts.map(p => p.symbol), ['PEPEUSDT']);
+});
+
+test('handleSnapshot: 対象外の取引所・URL 未設定の Webhook には送らず、送信失敗でも止まらない', async () => {
+  const posts = [];
+  const engine = createAlertEngine({
+    rules: [
+      rule({ id: 'other-exchange', exchanges: ['upbit-spot'] }),
+      rule({ id: 'no-url', webhooks: [{ urlEnv: 'TEST_ALERT_WEBHOOK_UNSET', format: 'json' }] }),
+      rule({ id: 'failing', webhooks: [{ url: `${WEBHOOK_URL}/down` }, { url: `${WEBHOOK_URL}/up` }] }),
+    ],
+    post: async (url, body) => {
+      if (url.endsWith('/down')) throw new Error('connect ECONNREFUSED');
+      posts.push({ url, body });
+    },
+  });
+  const error = console.error;
+  console.error = () => {};
+  try {
+    await engine.handleSnapshot('binance-futures', 'Binance先物', [previous, current]);
+  } finally {
+    console.error = error;
+  }
+  assert.deepStrictEqual(posts.map(p => [p.body.rule, p.url]), [['failing', `${WEBHOOK_URL}/up`]]);
+});
+
+test('handleListingEvents: types に含む種類だけを通知し、クールダウンは無い', async () => {
+  const { engine, posts } = createRecordingEngine([
+    rule({ id: 'pump-only' }),
+    rule({ id: 'listings', types: ['listing'], webhooks: [{ url: WEBHOOK_URL, format: 'slack' }] }),
+  ]);
+  const events = [
+    { type: 'listing', instrumentId: 'NEWUSDT', symbol: 'NEWUSDT', base: 'NEW' },
+    { type: 'delisting', instrumentId: 'OLD_USDT', symbol: 'OLDUSDT', base: 'OLD' },
+  ];
+  await engine.handleListingEvents('gateio-spot', 'Gate.io', events, 1000);
+  await engine.handleListingEvents('gateio-spot', 'Gate.io', events, 2000);
+
+  assert.strictEqual(posts.length, 2);
+  assert.deepStrictEqual(posts[0].body, { text: '[Gate.io] 上場・上場廃止\n🚀 新規上場 NEWUSDT' });
+  assert.deepStrictEqual(engine.getRecentAlerts().map(a => [a.type, a.rule, a.events.length]), [['listing', 'listings', 1], ['listing', 'listings', 1]]);
+});
+
+test('loadAlertRules: ファイルが無ければ空、不正なルールは例外', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alert-rules-'));
+  try {
+    assert.deepStrictEqual(loadAlertRules(path.join(dir, 'missing.json')), []);
+
+    const file = path.join(dir, 'rules.json');
+    fs.writeFileSync(file, JSON.stringify({ rules: [rule()] }));
+    assert.deepStrictEqual(loadAlertRules(file).map(r => r.id), ['test']);
+
+    fs.writeFileSync(file, JSON.stringify([rule({ webhooks: [] })]));
+    assert.throws(() => loadAlertRules(file), /webhooks/);
+    fs.writeFileSync(file, JSON.stringify([rule({ types: ['pump', 'crash'] })]));
+    assert.throws(() => loadAlertRules(file), /crash/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
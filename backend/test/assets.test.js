@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolveAsset, canonicalizeAsset } = require('../assets');
+const { aggregateByAsset } = require('../aggregate');
+const { computeKimchiPremium } = require('../premium');
+
+// ════════════════════════════════════════════════════
+// 銘柄対応表: ティッカーが同じだけの Alpha トークンは CEX の銘柄と混ぜない
+// ════════════════════════════════════════════════════
+
+const futures = { symbol: 'PEPEUSDT', lastPrice: 0.00001, priceChangePercent: 1, quoteVolume: 5000 };
+const upbit = { symbol: 'KRW-PEPE', displayName: 'PEPE', lastPrice: 0.0000103, priceChangePercent: 1, quoteVolume: 3000 };
+
+function alphaToken(contractAddress, overrides = {}) {
+  return {
+    symbol: 'PEPEUSDT', displayName: 'PEPE', lastPrice: 0.5, priceChangePercent: 10, quoteVolume: 1000,
+    chainId: '56', contractAddress, cexCoinName: null, ...overrides,
+  };
+}
+
+// 同じ PEPE のティッカーで、Binance の現物と紐付いているトークンと無関係なトークン
+const linked = alphaToken('0x1111111111111111111111111111111111111111', { lastPrice: 0.00001, cexCoinName: 'PEPE' });
+const unrelated = alphaToken('0xAAAA000000000000000000000000000000000002');
+
+test('確かめられない Alpha トークンは alpha:<chainId>:<contractAddress> になる', () => {
+  assert.deepStrictEqual(resolveAsset(linked, 'binance-alpha'), { asset: 'PEPE', multiplier: 1 });
+  assert.deepStrictEqual(resolveAsset(unrelated, 'binance-alpha'), {
+    asset: 'alpha:56:0xaaaa000000000000000000000000000000000002',
+    multiplier: 1,
+  });
+  // API の :asset やウォッチリストで渡されても同じ表記に揃う
+  assert.strictEqual(
+    canonicalizeAsset('alpha:56:0xAAAA000000000000000000000000000000000002').asset,
+    'alpha:56:0xaaaa000000000000000000000000000000000002'
+  );
+});
+
+test('取引所横断ランキングで同じティッカーの別トークンを合算しない', () => {
+  const result = aggregateByAsset([
+    { id: 'binance-futures', data: [futures] },
+    { id: 'binance-alpha', data: [unrelated, linked] },
+  ]);
+  const pepe = result.find(entry => entry.asset === 'PEPE');
+  assert.strictEqual(pepe.quoteVolume, 6000);
+  assert.strictEqual(pepe.venues['binance-alpha'].symbol, linked.symbol);
+
+  const separate = result.find(entry => entry.asset.startsWith('alpha:'));
+  assert.strictEqual(separate.displayName, 'PEPE');
+  assert.strictEqual(separate.quoteVolume, 1000);
+  assert.deepStrictEqual(Object.keys(separate.venues), ['binance-alpha']);
+});
+
+test('キムチプレミアムの参照に同じティッカーの別トークンを使わない', () => {
+  const [premium] = computeKimchiPremium([upbit], [unrelated], { exchangeId: 'upbit-spot', referenceExchangeId: 'binance-alpha' });
+  assert.strictEqual(premium.kimchiPremium, null);
+
+  const [matched] = computeKimchiPremium([upbit], [unrelated, linked], { exchangeId: 'upbit-spot', referenceExchangeId: 'binance-alpha' });
+  assert.ok(Math.abs(matched.kimchiPremium - 3) < 1e-9);
+});
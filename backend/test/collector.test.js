@@ -0,0 +1,171 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startMockExchange, silenceLogs } = require('./helpers/mock-exchange');
+
+// ════════════════════════════════════════════════════
+// コレクタの単発実行 (runOnce) をモック取引所に向けて確認する
+// 取得失敗時のスナップショット (fallback / missing) と上場検知、常駐コレクタへの依頼
+// ════════════════════════════════════════════════════
+
+let mock;
+let modules;
+
+test.before(async () => {
+  silenceLogs();
+  mock = await startMockExchange();
+  process.env.MOCK_EXCHANGE_URL = mock.url;
+  process.env.HTTP_RETRY_BASE_MS = '10';
+  process.env.EXCHANGE_TIMEOUT_MS = '500';
+  modules = {
+    ...require('../storage'),
+    ...require('../data-store'),
+    ...require('../collector'),
+    ...require('../alerts'),
+    ...require('../exchanges'),
+  };
+});
+
+test.after(() => mock?.stop());
+
+test.beforeEach(() => mock.clearFaults());
+
+function createTestCollector() {
+  const storage = modules.createMemoryStorage();
+  const dataStore = modules.createDataStore(storage);
+  const collector = modules.createCollector({ storage, dataStore, alertEngine: modules.createAlertEngine() });
+  return { storage, dataStore, collector };
+}
+
+const sources = (dataStore, exchangeId) => dataStore.store[exchangeId].snapshots.map(snap => snap.source);
+
+test('取得に成功すると live のスナップショットと最新データを保存する', async () => {
+  const { dataStore, collector } = createTestCollector();
+  const adapter = modules.getAdapter('bybit-linear');
+  const outcome = await collector.runOnce([adapter]);
+  assert.deepStrictEqual(outcome.results, [{ id: 'bybit-linear', ok: true }]);
+  assert.deepStrictEqual(sources(dataStore, 'bybit-linear'), ['live']);
+  const { data } = dataStore.store['bybit-linear'].current;
+  assert.strictEqual(data[0].symbol, 'BTCUSDT');
+  assert.ok(data.every((item, i) => i === 0 || data[i - 1].quoteVolume >= item.quoteVolume));
+});
+
+test('fallbackOnError の取引所は取得失敗時に前回データでスナップショットを埋める', async () => {
+  const { dataStore, collector } = createTestCollector();
+  const adapter = modules.getAdapter('okx-swap');
+  assert.ok(adapter.fallbackOnError);
+  await collector.runOnce([adapter]);
+
+  await mock.addFaults({ host: 'www.okx.com', path: '/api/v5/market/tickers', status: 500 });
+  const outcome = await collector.runOnce([adapter]);
+  assert.deepStrictEqual(outcome.results, [{ id: 'okx-swap', ok: false }]);
+  assert.deepStrictEqual(sources(dataStore, 'okx-swap'), ['live', 'fallback']);
+  const [live, fallback] = dataStore.store['okx-swap'].snapshots;
+  assert.deepStrictEqual(Object.keys(fallback.rankings), Object.keys(live.rankings));
+  assert.match(fallback.error, /500/);
+  assert.strictEqual(collector.getStatus().fetchStatus['okx-swap'].consecutiveFailures, 1);
+});
+
+test('フォールバックしない取引所は取得失敗時に空のスナップショットを残す', async () => {
+  const { dataStore, collector } = createTestCollector();
+  const adapter = modules.getAdapter('gateio-spot');
+  assert.ok(!adapter.fallbackOnError);
+  await collector.runOnce([adapter]);
+
+  await mock.addFaults({ host: 'api.gateio.ws', path: '/api/v4/spot/tickers', status: 500 });
+  await collector.runOnce([adapter]);
+  assert.deepStrictEqual(sources(dataStore, 'gateio-spot'), ['live', 'missing']);
+  assert.deepStrictEqual(dataStore.store['gateio-spot'].snapshots[1].rankings, {});
+});
+
+test('前回データが無ければ fallbackOnError でも空のスナップショットになる', async () => {
+  const { dataStore, collector } = createTestCollector();
+  await mock.addFaults({ host: 'www.okx.com', path: '/api/v5/market/tickers', status: 500 });
+  await collector.runOnce([modules.getAdapter('okx-swap')]);
+  assert.deepStrictEqual(sources(dataStore, 'okx-swap'), ['missing']);
+});
+
+test('2回目以降の取得で銘柄一覧の差分を上場・上場廃止として記録する', async () => {
+  const { storage, collector } = createTestCollector();
+  const adapter = modules.getAdapter('okx-swap');
+  await collector.runOnce([adapter]);
+  assert.deepStrictEqual(await storage.loadListingEvents(), []);
+
+  // 前回の一覧から1件減らし、架空の1件を足しておく → 今回の取得で上場1件・上場廃止1件
+  const saved = await storage.loadInstruments('okx-swap');
+  await storage.saveInstruments('okx-swap', [
+    ...saved.filter(i => i.instrumentId !== 'SOL-USDT-SWAP'),
+    { symbol: 'GONEUSDT', base: 'GONE', instrumentId: 'GONE-USDT-SWAP' },
+  ]);
+  await collector.runOnce([adapter]);
+  const events = await storage.loadListingEvents();
+  assert.deepStrictEqual(events.map(e => [e.type, e.instrumentId]).sort(), [
+    ['delisting', 'GONE-USDT-SWAP'],
+    ['listing', 'SOL-USDT-SWAP'],
+  ]);
+});
+
+// 条件を満たすまで待つ
+async function waitFor(condition, timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await condition())) {
+    if (Date.now() > deadline) throw new Error('待機がタイムアウトしました');
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+}
+
+test('別プロセスの API からのスナップショット削除は、常駐コレクタが依頼を拾って書き直す', async () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'volume-dashboard-collector-'));
+  const storage = modules.createJsonlStorage(dataDir);
+  const dataStore = modules.createDataStore(storage);
+  const collector = modules.createCollector({ storage, dataStore, alertEngine: modules.createAlertEngine(), lockTtlMs: 300 });
+  try {
+    collector.start();
+    const file = path.join(dataDir, 'gateio-spot.snapshots.jsonl');
+    // 起動時の取得 (全取引所) が終わるまで待つ
+    await waitFor(() => fs.existsSync(file) && !collector.getStatus().fetching.length);
+
+    const client = modules.createCollectorClient(storage);
+    assert.deepStrictEqual(await client.trimSnapshots('gateio-spot', { keep: 0 }), { queued: true });
+    await waitFor(() => fs.readFileSync(file, 'utf8') === '');
+    assert.strictEqual(dataStore.store['gateio-spot'].snapshots.length, 0);
+  } finally {
+    await collector.stop();
+    await dataStore.flush();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+});
+
+test('上場確認の銘柄一覧の取得も取引所ごとの HTTP メトリクスに数える', async () => {
+  const { collector } = createTestCollector();
+  const { renderMetrics } = require('../metrics');
+  const polls = async () => (await mock.getRequests()).filter(r => r.host === 'api.upbit.com' && r.path === '/v1/market/all').length;
+  process.env.LISTING_POLL_SECONDS_UPBIT_SPOT = '0.1';
+  try {
+    collector.start();
+    await waitFor(() => collector.getStatus().fetchStatus['upbit-spot'] && !collector.getStatus().fetching.length);
+    const before = await polls();
+    await waitFor(async () => (await polls()) > before);
+  } finally {
+    delete process.env.LISTING_POLL_SECONDS_UPBIT_SPOT;
+    await collector.stop();
+  }
+  assert.doesNotMatch(renderMetrics(), /http_requests_total\{exchange="unknown"/);
+});
+
+test('単発実行は置かれたままの依頼を片付け、稼働中のコレクタとはみなされない', async () => {
+  const { storage, dataStore, collector } = createTestCollector();
+  const client = modules.createCollectorClient(storage);
+  await storage.pushFetchRequest({ type: 'fetch', exchanges: ['gateio-spot'], requestedAt: Date.now() });
+
+  const outcome = await collector.runOnce([modules.getAdapter('bybit-linear')]);
+  assert.deepStrictEqual(outcome.results.map(r => r.id), ['bybit-linear', 'gateio-spot']);
+  assert.deepStrictEqual(await storage.takeFetchRequests(), []);
+  assert.strictEqual(sources(dataStore, 'gateio-spot').length, 1);
+
+  await client.refresh();
+  assert.strictEqual(client.getStatus().oneShot, true);
+  assert.strictEqual(modules.isCollectorAlive(client.getStatus()), false);
+});
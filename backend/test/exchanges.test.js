@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { getAdapter } = require('../exchanges');
+
+// ════════════════════════════════════════════════════
+// アダプタの正規化 (normalizeTickers) を記録済みレスポンス (fixtures/exchanges) で確認する
+// 取引所 API には繋がない
+// ════════════════════════════════════════════════════
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'exchanges');
+
+function readFixture(host, pathname) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, host, `${pathname}.json`), 'utf8'));
+}
+
+test('OKX: USDT 建て SWAP だけを取り、基軸通貨建ての出来高を USDT 換算する', () => {
+  const { normalizeTickers } = getAdapter('okx-swap');
+  const tickers = readFixture('www.okx.com', 'api/v5/market/tickers').data;
+  const live = new Set(readFixture('www.okx.com', 'api/v5/public/instruments').data
+    .filter(i => i.state === 'live' && i.settleCcy === 'USDT')
+    .map(i => i.instId));
+
+  const result = normalizeTickers(tickers, live);
+  assert.deepStrictEqual(result.map(t => t.symbol), ['BTCUSDT', 'ETHUSDT', 'SOLUSDT', 'DOGEUSDT', 'XRPUSDT']);
+
+  const btc = result[0];
+  assert.strictEqual(btc.displayName, 'BTC');
+  assert.strictEqual(btc.lastPrice, 67250.4);
+  assert.ok(Math.abs(btc.quoteVolume - 81343.3135 * 67250.4) < 1e-3);
+  assert.ok(Math.abs(btc.priceChangePercent - ((67250.4 - 66035.349568) / 66035.349568) * 100) < 1e-9);
+});
+
+test('OKX: 銘柄一覧が無ければ取引停止中の契約も除外しない', () => {
+  const { normalizeTickers } = getAdapter('okx-swap');
+  const tickers = readFixture('www.okx.com', 'api/v5/market/tickers').data;
+  assert.ok(normalizeTickers(tickers, null).some(t => t.symbol === 'OLDUSDT'));
+});
+
+test('Bybit: price24hPcnt は比率、turnover24h をそのまま USDT 出来高にする', () => {
+  const { normalizeTickers } = getAdapter('bybit-linear');
+  const tickers = readFixture('api.bybit.com', 'v5/market/tickers').result.list;
+  const trading = new Set(['BTCUSDT', 'ETHUSDT', 'SOLUSDT', 'DOGEUSDT']);
+
+  const result = normalizeTickers(tickers, trading);
+  assert.deepStrictEqual(result.map(t => t.symbol), ['BTCUSDT', 'ETHUSDT', 'SOLUSDT', 'DOGEUSDT']);
+  const eth = result[1];
+  assert.strictEqual(eth.lastPrice, 2634.12);
+  assert.ok(Math.abs(eth.priceChangePercent - -0.92) < 1e-9);
+  assert.strictEqual(eth.quoteVolume, 3950617284.22);
+});
+
+test('Gate.io: 取引可能な USDT ペアだけを取り、change_percentage は % のまま', () => {
+  const { normalizeTickers } = getAdapter('gateio-spot');
+  const tickers = readFixture('api.gateio.ws', 'api/v4/spot/tickers');
+  const tradable = new Set(readFixture('api.gateio.ws', 'api/v4/spot/currency_pairs')
+    .filter(p => p.quote === 'USDT' && p.trade_status === 'tradable')
+    .map(p => p.id));
+
+  const result = normalizeTickers(tickers, tradable);
+  assert.strictEqual(result.length, 5);
+  assert.ok(!result.some(t => t.symbol === 'OLDUSDT'));
+  assert.deepStrictEqual(result.find(t => t.symbol === 'DOGEUSDT'), {
+    symbol: 'DOGEUSDT',
+    displayName: 'DOGE',
+    lastPrice: 0.1234,
+    priceChangePercent: 7.65,
+    quoteVolume: 37037036.7,
+  });
+});
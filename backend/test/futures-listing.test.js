@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// ════════════════════════════════════════════════════
+// Alpha 銘柄の先物バッジ (futures-listing.js)
+// ティッカーが同じだけのトークンには付けず、alphaContracts か Binance の現物との紐付けがあるものだけに付ける
+// 銘柄対応表は読み込み時に固まるので、上書きファイルは require より先に用意する
+// ════════════════════════════════════════════════════
+
+const CONFIRMED_CONTRACT = '0xAbC0000000000000000000000000000000000001';
+
+const overridesFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'futures-listing-')), 'asset-overrides.json');
+fs.writeFileSync(overridesFile, JSON.stringify({
+  alphaContracts: { [`56:${CONFIRMED_CONTRACT}`]: 'WIF' },
+}));
+process.env.ASSET_OVERRIDES_FILE = overridesFile;
+
+const { attachFuturesListings } = require('../futures-listing');
+
+const futuresData = [
+  { symbol: '1000PEPEUSDT', displayName: '1000PEPE', listingTime: 1683000000000 },
+  { symbol: 'WIFUSDT', displayName: 'WIF', listingTime: 1700000000000 },
+];
+
+function alphaToken(overrides) {
+  return { symbol: 'PEPEUSDT', displayName: 'PEPE', chainId: '56', contractAddress: '0x1111111111111111111111111111111111111111', cexCoinName: null, ...overrides };
+}
+
+function attach(items) {
+  return attachFuturesListings(items, futuresData, { exchangeId: 'binance-alpha', futuresExchangeId: 'binance-futures' });
+}
+
+test('ティッカーが同じだけのトークンには futuresSymbol を付けない', () => {
+  const [item] = attach([alphaToken()]);
+  assert.strictEqual(item.futuresSymbol, null);
+  assert.strictEqual(item.futuresListingTime, null);
+});
+
+test('Binance の現物と紐付いたトークンは倍率付きの契約とも突き合わせる', () => {
+  const [item] = attach([alphaToken({ cexCoinName: 'PEPE' })]);
+  assert.strictEqual(item.futuresSymbol, '1000PEPEUSDT');
+  assert.strictEqual(item.futuresListingTime, 1683000000000);
+});
+
+test('alphaContracts に載ったコントラクトはティッカーに関係なく突き合わせる', () => {
+  const [confirmed, sameTicker] = attach([
+    alphaToken({ symbol: 'DOGWIFUSDT', displayName: 'DOGWIF', contractAddress: CONFIRMED_CONTRACT.toLowerCase() }),
+    alphaToken({ symbol: 'WIFUSDT', displayName: 'WIF' }),
+  ]);
+  assert.strictEqual(confirmed.futuresSymbol, 'WIFUSDT');
+  assert.strictEqual(sameTicker.futuresSymbol, null);
+});
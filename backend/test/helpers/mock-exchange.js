@@ -0,0 +1,96 @@
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+
+// ════════════════════════════════════════════════════
+// テスト用: モック取引所サーバー (scripts/mock-exchange-server.js) などを子プロセスで起動する
+// 取引所の接続先はモジュール読み込み時に決まるので、MOCK_EXCHANGE_URL を設定してから
+// http.js / exchanges を require すること
+// ════════════════════════════════════════════════════
+
+const BACKEND_DIR = path.join(__dirname, '..', '..');
+const STARTUP_TIMEOUT_MS = 10000;
+
+// 空いているポート番号
+function findFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// script を起動し、標準出力に readyPattern が出るまで待つ。ログは失敗時の確認用に溜めておく
+function startProcess(script, { env = {}, readyPattern }) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [path.join(BACKEND_DIR, script)], {
+      cwd: BACKEND_DIR,
+      env: { ...process.env, ...env },
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+    let output = '';
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`${script} が ${STARTUP_TIMEOUT_MS}ms 以内に起動しませんでした\n${output}`));
+    }, STARTUP_TIMEOUT_MS);
+    const onData = chunk => {
+      output += chunk;
+      if (timer && readyPattern.test(output)) {
+        clearTimeout(timer);
+        resolve({ child, getOutput: () => output, stop: () => stopProcess(child) });
+      }
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', chunk => { output += chunk; });
+    child.on('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`${script} が終了しました (code=${code})\n${output}`));
+    });
+  });
+}
+
+function stopProcess(child) {
+  if (child.exitCode !== null) return Promise.resolve();
+  return new Promise(resolve => {
+    child.once('exit', resolve);
+    child.kill();
+  });
+}
+
+// { url, addFaults, clearFaults, getRequests, clearRequests, stop }
+async function startMockExchange() {
+  const port = await findFreePort();
+  const proc = await startProcess('scripts/mock-exchange-server.js', {
+    env: { MOCK_EXCHANGE_PORT: String(port), MOCK_SCENARIO: '' },
+    readyPattern: /モック取引所/,
+  });
+  const url = `http://127.0.0.1:${port}`;
+  const call = async (method, pathname, body) => {
+    const response = await fetch(`${url}${pathname}`, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : undefined,
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    return response.json();
+  };
+  return {
+    url,
+    addFaults: faults => call('POST', '/__mock/faults', faults),
+    clearFaults: () => call('DELETE', '/__mock/faults'),
+    getRequests: () => call('GET', '/__mock/requests'),
+    clearRequests: () => call('DELETE', '/__mock/requests'),
+    stop: proc.stop,
+  };
+}
+
+// テストのプロセス内で動かすコレクタ・アダプタの進捗ログを止める
+// (node --test は子プロセスの標準出力で結果を受け取るので、大量のログが混ざると結果の読み取りに失敗することがある)
+function silenceLogs() {
+  console.log = () => {};
+}
+
+module.exports = { BACKEND_DIR, findFreePort, startProcess, startMockExchange, silenceLogs };
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startMockExchange, silenceLogs } = require('./helpers/mock-exchange');
+
+// ════════════════════════════════════════════════════
+// モック取引所サーバー (MOCK_EXCHANGE_URL) に向けた結合テスト
+// 全アダプタの取得・正規化と、fetchWithRetry のリトライ (429 / 418 / 403 / 5xx / タイムアウト) を確認する
+// ════════════════════════════════════════════════════
+
+let mock;
+let http;
+let exchanges;
+
+test.before(async () => {
+  silenceLogs();
+  mock = await startMockExchange();
+  process.env.MOCK_EXCHANGE_URL = mock.url;
+  process.env.HTTP_RETRY_BASE_MS = '10';
+  process.env.EXCHANGE_TIMEOUT_MS = '500';
+  http = require('../http');
+  exchanges = require('../exchanges');
+});
+
+test.after(() => mock?.stop());
+
+test.beforeEach(async () => {
+  await mock.clearFaults();
+  await mock.clearRequests();
+});
+
+// 依頼したパスへのリクエスト回数
+async function countRequests(host, pathname) {
+  return (await mock.getRequests()).filter(r => r.host === host && r.path === pathname).length;
+}
+
+test('全アダプタが記録済みレスポンスを正規化して返す', async () => {
+  for (const adapter of exchanges.listAdapters()) {
+    const result = await adapter.fetch();
+    const tickers = Array.isArray(result) ? result : result.tickers;
+    assert.ok(tickers.length > 0, `${adapter.id}: 銘柄がありません`);
+    for (const t of tickers) {
+      assert.strictEqual(typeof t.symbol, 'string', `${adapter.id}: symbol`);
+      assert.ok(Number.isFinite(t.lastPrice), `${adapter.id} ${t.symbol}: lastPrice`);
+      assert.ok(Number.isFinite(t.priceChangePercent), `${adapter.id} ${t.symbol}: priceChangePercent`);
+      assert.ok(Number.isFinite(t.quoteVolume), `${adapter.id} ${t.symbol}: quoteVolume`);
+    }
+  }
+});
+
+test('銘柄一覧を返すアダプタは instruments に取引中の銘柄だけを載せる', async () => {
+  const okx = await exchanges.getAdapter('okx-swap').fetch();
+  assert.deepStrictEqual(okx.instruments.map(i => i.instrumentId).sort(),
+    ['BTC-USDT-SWAP', 'DOGE-USDT-SWAP', 'ETH-USDT-SWAP', 'SOL-USDT-SWAP', 'XRP-USDT-SWAP']);
+  assert.ok(!okx.tickers.some(t => t.symbol === 'OLDUSDT'));
+
+  // Bybit は2ページ目 (nextPageCursor) まで辿る。USDC 建ては除く
+  const bybit = await exchanges.getAdapter('bybit-linear').fetch();
+  assert.deepStrictEqual(bybit.instruments.map(i => i.symbol),
+    ['BTCUSDT', 'ETHUSDT', 'SOLUSDT', 'DOGEUSDT', 'XRPUSDT']);
+});
+
+test('Upbit は USD 換算値と KRW 建ての値を両方返す', async () => {
+  const { tickers, meta } = await exchanges.getAdapter('upbit-spot').fetch();
+  assert.ok(meta.conversion.rate > 0);
+  const btc = tickers.find(t => t.symbol === 'BTCUSDT' || t.displayName === 'BTC');
+  assert.ok(Math.abs(btc.lastPrice * meta.conversion.rate - btc.lastPriceKrw) < 1e-6 * btc.lastPriceKrw);
+});
+
+for (const [status, label] of [[429, 'レート超過'], [418, 'IP BAN'], [403, '拒否'], [500, '5xx']]) {
+  test(`fetchWithRetry: ${status} (${label}) はリトライして成功する`, async () => {
+    // Retry-After: 0 でリミッタの送信停止を待たずに済ませる
+    await mock.addFaults({ host: 'api.gateio.ws', path: '/api/v4/spot/tickers', status, retryAfter: 0, times: 2 });
+    const client = http.createApiClient('https://api.gateio.ws');
+    const response = await http.fetchWithRetry(client, '/api/v4/spot/tickers', 3);
+    assert.ok(Array.isArray(response.data));
+    assert.strictEqual(await countRequests('api.gateio.ws', '/api/v4/spot/tickers'), 3);
+  });
+}
+
+test('fetchWithRetry: タイムアウトはリトライして成功する', async () => {
+  await mock.addFaults({ host: 'api.gateio.ws', path: '/api/v4/spot/tickers', timeout: true, times: 1 });
+  const client = http.createApiClient('https://api.gateio.ws');
+  const response = await http.fetchWithRetry(client, '/api/v4/spot/tickers', 3);
+  assert.ok(Array.isArray(response.data));
+  assert.strictEqual(await countRequests('api.gateio.ws', '/api/v4/spot/tickers'), 2);
+});
+
+test('fetchWithRetry: 回数を使い切ったら最後のエラーを投げる', async () => {
+  await mock.addFaults({ host: 'api.gateio.ws', path: '/api/v4/spot/tickers', status: 500 });
+  const client = http.createApiClient('https://api.gateio.ws');
+  await assert.rejects(http.fetchWithRetry(client, '/api/v4/spot/tickers', 2), error => error.response?.status === 500);
+  assert.strictEqual(await countRequests('api.gateio.ws', '/api/v4/spot/tickers'), 2);
+});
+
+test('fetchWithRetry: 429 / 418 / 403 以外の 4xx はリトライしない', async () => {
+  const client = http.createApiClient('https://api.gateio.ws');
+  await assert.rejects(http.fetchWithRetry(client, '/api/v4/spot/unknown', 3), error => error.response?.status === 404);
+  assert.strictEqual(await countRequests('api.gateio.ws', '/api/v4/spot/unknown'), 1);
+});
+
+test('fetchWithRetry: 429 の Retry-After はそのホストへの送信を止める', async () => {
+  await mock.addFaults({ host: 'api.gateio.ws', path: '/api/v4/spot/tickers', status: 429, retryAfter: 1, times: 1 });
+  const client = http.createApiClient('https://api.gateio.ws');
+  const startedAt = Date.now();
+  await http.fetchWithRetry(client, '/api/v4/spot/tickers', 2);
+  assert.ok(Date.now() - startedAt >= 900, 'Retry-After (1秒) を待たずに再送しました');
+});
@@ -0,0 +1,153 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRateLimiter, parseRetryAfterMs, HOST_LIMITS, DEFAULT_BLOCK_MS } = require('../rate-limiter');
+
+// ════════════════════════════════════════════════════
+// ホスト別レートリミッタ: トークンバケットの消費・回復、エンドポイントの重み、レスポンスヘッダでの補正
+// 時計 (now / sleep) を差し替え、待った時間を実時間を使わずに確かめる
+// ════════════════════════════════════════════════════
+
+const HOST = 'api.example.test';
+
+// sleep は待たずに時計を進め、待った時間を記録する
+function createClock(start = 1700000000000) {
+  let time = start;
+  const sleeps = [];
+  return {
+    now: () => time,
+    sleep: async ms => { sleeps.push(ms); time += ms; },
+    advance: ms => { time += ms; },
+    sleeps,
+  };
+}
+
+function createTestLimiter(limits = { [HOST]: { capacity: 10, windowMs: 1000 } }) {
+  const clock = createClock();
+  const throttles = [];
+  const limiter = createRateLimiter({ limits, now: clock.now, sleep: clock.sleep, onThrottle: event => throttles.push(event) });
+  return { limiter, clock, throttles };
+}
+
+async function acquireTimes(limiter, host, path, count) {
+  for (let i = 0; i < count; i++) await limiter.acquire(host, path);
+}
+
+function withoutWarnings(fn) {
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    return fn();
+  } finally {
+    console.warn = warn;
+  }
+}
+
+test('容量ぶんは待たずに送り、使い切ったら1回分が回復するまで待つ', async () => {
+  const { limiter, clock, throttles } = createTestLimiter();
+  await acquireTimes(limiter, HOST, '/a', 10);
+  assert.deepStrictEqual(clock.sleeps, []);
+
+  await limiter.acquire(HOST, '/a');
+  assert.deepStrictEqual(clock.sleeps, [100]);
+  assert.deepStrictEqual(throttles, [{ host: HOST, reason: 'wait', waitMs: 100 }]);
+  assert.deepStrictEqual(limiter.getStats()[HOST], { waits: 1, waitMs: 100, blocks: 0, lastThrottledAt: clock.now() });
+});
+
+test('経過時間に比例してトークンが回復する（容量が上限）', async () => {
+  const { limiter, clock } = createTestLimiter();
+  await acquireTimes(limiter, HOST, '/a', 10);
+  clock.advance(500);
+  await acquireTimes(limiter, HOST, '/a', 5);
+  assert.deepStrictEqual(clock.sleeps, []);
+  await limiter.acquire(HOST, '/a');
+  assert.deepStrictEqual(clock.sleeps, [100]);
+
+  // 長く空いても容量以上は貯まらない
+  clock.advance(60000);
+  await acquireTimes(limiter, HOST, '/a', 11);
+  assert.deepStrictEqual(clock.sleeps, [100, 100]);
+});
+
+test('HOST_LIMITS: Binance 先物はエンドポイントごとの重みで消費する', async () => {
+  const { limiter, clock } = createTestLimiter(HOST_LIMITS);
+  const host = 'fapi.binance.com';
+  assert.strictEqual(limiter.getWeight(host, '/fapi/v1/ticker/24hr'), 40);
+  assert.strictEqual(limiter.getWeight(host, '/fapi/v1/ticker/24hr?symbol=BTCUSDT'), 1);
+  assert.strictEqual(limiter.getWeight(host, '/fapi/v1/premiumIndex'), 10);
+  assert.strictEqual(limiter.getWeight(host, '/fapi/v1/exchangeInfo'), 1);
+  assert.strictEqual(limiter.getWeight('api.bybit.com', '/v5/market/tickers'), 1);
+
+  // 容量 2000 / 重み 40 = 50回。51回目は重み40ぶんの回復 (40 × 60000 / 2000 ms) を待つ
+  await acquireTimes(limiter, host, '/fapi/v1/ticker/24hr', 50);
+  assert.deepStrictEqual(clock.sleeps, []);
+  await limiter.acquire(host, '/fapi/v1/ticker/24hr');
+  assert.deepStrictEqual(clock.sleeps, [1200]);
+});
+
+test('容量より重いリクエストは満タンになるまで待てば通す', async () => {
+  const { limiter, clock } = createTestLimiter({ [HOST]: { capacity: 10, windowMs: 1000, weights: [[/^\/heavy/, 50]] } });
+  await limiter.acquire(HOST, '/light');
+  await limiter.acquire(HOST, '/heavy');
+  assert.deepStrictEqual(clock.sleeps, [100]);
+});
+
+test('X-MBX-USED-WEIGHT-1M: Binance の使用済み重みに合わせて残りを減らす', async () => {
+  const { limiter, clock } = createTestLimiter(HOST_LIMITS);
+  limiter.observeResponse('fapi.binance.com', { status: 200, headers: { 'x-mbx-used-weight-1m': '1990' } });
+  // 残り 10。重み 40 には 30 ぶん (30 × 60000 / 2000 ms) 足りない
+  await limiter.acquire('fapi.binance.com', '/fapi/v1/ticker/24hr');
+  assert.deepStrictEqual(clock.sleeps, [900]);
+
+  // Binance 以外のホストでは見ない
+  limiter.observeResponse('api.bybit.com', { status: 200, headers: { 'x-mbx-used-weight-1m': '100000' } });
+  await limiter.acquire('api.bybit.com', '/v5/market/tickers');
+  assert.deepStrictEqual(clock.sleeps, [900]);
+});
+
+test('Remaining-Req (Upbit) / X-RateLimit-Remaining: 残り回数より多くは送らない', async () => {
+  const { limiter, clock } = createTestLimiter(HOST_LIMITS);
+  limiter.observeResponse('api.upbit.com', { status: 200, headers: { 'remaining-req': 'group=market; min=599; sec=0' } });
+  await limiter.acquire('api.upbit.com', '/v1/ticker');
+  // 8回/秒なので 1回分は 125ms
+  assert.deepStrictEqual(clock.sleeps, [125]);
+
+  limiter.observeResponse('www.okx.com', { status: 200, headers: { 'x-ratelimit-remaining': '1' } });
+  await limiter.acquire('www.okx.com', '/api/v5/market/tickers');
+  await limiter.acquire('www.okx.com', '/api/v5/market/tickers');
+  // 15回/2秒なので 1回分は 2000 / 15 = 133.3ms (切り上げ)
+  assert.deepStrictEqual(clock.sleeps, [125, 134]);
+
+  // 残りが多いと言われてもこちらの見積もりより増やさない
+  limiter.observeResponse('www.okx.com', { status: 200, headers: { 'x-ratelimit-remaining': '1000' } });
+  // (前回の切り上げで貯まった端数ぶん、待ちは 1ms 短い)
+  await limiter.acquire('www.okx.com', '/api/v5/market/tickers');
+  assert.deepStrictEqual(clock.sleeps, [125, 134, 133]);
+});
+
+test('429 / 418: Retry-After (無ければ既定の時間) だけそのホストへの送信を止める', async () => {
+  const { limiter, clock, throttles } = createTestLimiter();
+  withoutWarnings(() => limiter.observeResponse(HOST, { status: 429, headers: { 'retry-after': '5' } }));
+  await limiter.acquire(HOST, '/a');
+  // 止まっている間にバケットも満タンまで回復する
+  assert.deepStrictEqual(clock.sleeps, [5000]);
+  await acquireTimes(limiter, HOST, '/a', 9);
+  assert.deepStrictEqual(clock.sleeps, [5000]);
+
+  withoutWarnings(() => limiter.observeResponse(HOST, { status: 418, headers: {} }));
+  await limiter.acquire(HOST, '/a');
+  assert.deepStrictEqual(clock.sleeps, [5000, DEFAULT_BLOCK_MS]);
+  assert.deepStrictEqual(throttles.filter(t => t.reason !== 'wait'), [
+    { host: HOST, reason: '429', waitMs: 5000 },
+    { host: HOST, reason: '418', waitMs: DEFAULT_BLOCK_MS },
+  ]);
+  assert.strictEqual(limiter.getStats()[HOST].blocks, 2);
+});
+
+test('parseRetryAfterMs: 秒数と HTTP 日付', () => {
+  const now = Date.parse('2026-01-01T00:00:00Z');
+  assert.strictEqual(parseRetryAfterMs('2', now), 2000);
+  assert.strictEqual(parseRetryAfterMs('Thu, 01 Jan 2026 00:00:30 GMT', now), 30000);
+  assert.strictEqual(parseRetryAfterMs('Wed, 31 Dec 2025 23:59:00 GMT', now), 0);
+  assert.strictEqual(parseRetryAfterMs('', now), null);
+  assert.strictEqual(parseRetryAfterMs('soon', now), null);
+});
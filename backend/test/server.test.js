@@ -0,0 +1,209 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PUMP_RULE } = require('../alerts');
+const { SNAPSHOT_RETENTION_MS } = require('../data-store');
+const { findFreePort, startProcess, startMockExchange } = require('./helpers/mock-exchange');
+
+// ════════════════════════════════════════════════════
+// API サーバー (コレクタ内蔵) をモック取引所に向けて起動し、主な API を確認する
+// 保存先は一時ディレクトリ。同じ保存先でもう1台起動し、複数台構成での同期も確認する
+// ════════════════════════════════════════════════════
+
+const ADMIN_API_KEY = 'test-admin-key';
+const READY_TIMEOUT_MS = 30000;
+const SYNC_TIMEOUT_MS = 5000;
+
+let mock;
+let server;
+let baseUrl;
+let follower;
+let followerUrl;
+let dataDir;
+
+async function get(pathname, headers = {}, url = baseUrl) {
+  const response = await fetch(`${url}${pathname}`, { headers });
+  const body = response.headers.get('content-type')?.includes('json') ? await response.json() : await response.text();
+  return { status: response.status, headers: response.headers, body };
+}
+
+// 起動時の取得が全取引所で終わるまで待つ
+async function waitForInitialFetch() {
+  const deadline = Date.now() + READY_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    const { body } = await get('/api/health').catch(() => ({ body: null }));
+    if (body?.exchanges?.every(e => e.lastAttempt)) return body;
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  throw new Error(`起動時の取得が終わりませんでした\n${server.getOutput()}`);
+}
+
+async function startServer(port) {
+  return startProcess('server.js', {
+    env: {
+      PORT: String(port),
+      NODE_ENV: 'test',
+      MOCK_EXCHANGE_URL: mock.url,
+      HTTP_RETRY_BASE_MS: '10',
+      EXCHANGE_TIMEOUT_MS: '500',
+      STORAGE_BACKEND: 'jsonl',
+      DATA_DIR: dataDir,
+      COLLECTOR_MODE: 'embedded',
+      ALERT_RULES_FILE: path.join(dataDir, 'no-alert-rules.json'),
+      ADMIN_API_KEY,
+      STORE_SYNC_SECONDS: '0.2',
+    },
+    readyPattern: /サーバー起動/,
+  });
+}
+
+test.before(async () => {
+  mock = await startMockExchange();
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'volume-dashboard-test-'));
+  const port = await findFreePort();
+  baseUrl = `http://127.0.0.1:${port}`;
+  server = await startServer(port);
+  await waitForInitialFetch();
+  // 2台目はリーダーロックを取れないので取得せず、保存先から読むだけ
+  const followerPort = await findFreePort();
+  followerUrl = `http://127.0.0.1:${followerPort}`;
+  follower = await startServer(followerPort);
+});
+
+test.after(async () => {
+  await follower?.stop();
+  await server?.stop();
+  await mock?.stop();
+  if (dataDir) fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('/api/exchanges は全アダプタのメタデータを返す', async () => {
+  const { status, body } = await get('/api/exchanges');
+  assert.strictEqual(status, 200);
+  const ids = body.exchanges.map(e => e.id);
+  assert.ok(ids.includes('binance-futures') && ids.includes('upbit-spot'));
+  assert.ok(body.exchanges.every(e => e.endpoint === `/api/${e.id}/top100`));
+});
+
+test('/api/:exchange/top100 は出来高順のデータとスナップショットを返す', async () => {
+  const { status, body } = await get('/api/bybit-linear/top100');
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.data[0].symbol, 'BTCUSDT');
+  assert.ok(body.data.every((item, i) => i === 0 || body.data[i - 1].quoteVolume >= item.quoteVolume));
+  assert.strictEqual(body.snapshots.length, 1);
+  assert.strictEqual(body.snapshots[0].source, 'live');
+  assert.strictEqual(body.freshness.stale, false);
+});
+
+test('/api/:exchange/top100 は画面の PUMP 表示の基準としてアラートと同じ値を返す', async () => {
+  const { body } = await get('/api/bybit-linear/top100');
+  assert.deepStrictEqual(body.pumpRule, PUMP_RULE);
+});
+
+test('/api/:exchange/top100 の limit は 50 / 100 / 200 / all だけ受け付ける', async () => {
+  assert.strictEqual((await get('/api/bybit-linear/top100?limit=all')).status, 200);
+  assert.strictEqual((await get('/api/bybit-linear/top100?limit=7')).status, 400);
+});
+
+test('/api/:exchange/history は銘柄ごとの順位・出来高の推移を返す', async () => {
+  const { status, body } = await get('/api/bybit-linear/history?symbol=ETHUSDT');
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.retentionMs, SNAPSHOT_RETENTION_MS);
+  assert.strictEqual(body.symbols.ETHUSDT.length, 1);
+  assert.strictEqual(body.symbols.ETHUSDT[0].rank, 2);
+  assert.strictEqual((await get('/api/bybit-linear/history?from=abc')).status, 400);
+  assert.strictEqual((await get('/api/unknown/history')).status, 404);
+});
+
+test('/api/aggregate は基軸通貨ごとに取引所をまたいで合算する', async () => {
+  const { status, body } = await get('/api/aggregate');
+  assert.strictEqual(status, 200);
+  const btc = body.data.find(row => row.asset === 'BTC');
+  assert.ok(btc.venueCount > 1);
+  assert.strictEqual(btc.quoteVolume, Object.values(btc.venues).reduce((sum, v) => sum + v.quoteVolume, 0));
+});
+
+test('/api/:exchange/export.csv はスナップショットの順位を CSV で返す', async () => {
+  const { status, headers, body } = await get('/api/okx-swap/export.csv');
+  assert.strictEqual(status, 200);
+  assert.match(headers.get('content-type'), /text\/csv/);
+  assert.match(body, /BTCUSDT/);
+});
+
+test('/api/events は初回の取得では上場イベントを出さない', async () => {
+  const { status, body } = await get('/api/events');
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(body.events, []);
+  assert.strictEqual((await get('/api/events?type=unknown')).status, 400);
+  assert.strictEqual((await get('/api/events?limit=501')).status, 400);
+});
+
+test('/api/health は取引所ごとの取得状況とコレクタの状態を返す', async () => {
+  const { status, body } = await get('/api/health');
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.storage, 'jsonl');
+  assert.strictEqual(body.collector.leaderInThisProcess, true);
+  assert.ok(body.exchanges.find(e => e.id === 'okx-swap').hasData);
+});
+
+test('取得状況は保存先にも書き出される', () => {
+  assert.ok(fs.existsSync(path.join(dataDir, 'okx-swap.snapshots.jsonl')));
+  assert.ok(fs.existsSync(path.join(dataDir, 'collector-status.json')));
+});
+
+test('管理 API は X-Admin-Key が必要', async () => {
+  assert.strictEqual((await get('/api/admin/scheduler')).status, 401);
+  const { status, body } = await get('/api/admin/scheduler', { 'X-Admin-Key': ADMIN_API_KEY });
+  assert.strictEqual(status, 200);
+  assert.ok(body.exchanges.some(e => e.id === 'okx-swap'));
+});
+
+test('/metrics は Prometheus 形式で返す', async () => {
+  const { status, body } = await get('/metrics');
+  assert.strictEqual(status, 200);
+  assert.match(body, /^# HELP /m);
+});
+
+test('スナップショット削除はコレクタ経由でメモリと保存先の両方に適用される', async () => {
+  const response = await fetch(`${baseUrl}/api/admin/gateio-spot/snapshots?keep=0`, {
+    method: 'DELETE',
+    headers: { 'X-Admin-Key': ADMIN_API_KEY },
+  });
+  assert.strictEqual(response.status, 200);
+  const body = await response.json();
+  assert.deepStrictEqual(body.memory, { before: 1, after: 0 });
+  assert.deepStrictEqual(body.storage, { before: 1, after: 0 });
+  assert.strictEqual(fs.readFileSync(path.join(dataDir, 'gateio-spot.snapshots.jsonl'), 'utf8'), '');
+});
+
+// 別の API サーバーで保存されたウォッチリストが、次の同期で見えるようになるまで待つ
+async function waitForWatchlist(url, token, expected) {
+  const deadline = Date.now() + SYNC_TIMEOUT_MS;
+  let symbols;
+  while (Date.now() < deadline) {
+    ({ body: { symbols } } = await get('/api/watchlist', { 'X-Watchlist-Token': token }, url));
+    if (JSON.stringify(symbols) === JSON.stringify(expected)) return;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  assert.deepStrictEqual(symbols, expected);
+}
+
+async function putWatchlist(url, token, symbols) {
+  const response = await fetch(`${url}/api/watchlist`, {
+    method: 'PUT',
+    headers: { 'X-Watchlist-Token': token, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ symbols }),
+  });
+  assert.strictEqual(response.status, 200);
+}
+
+test('ウォッチリストは別の API サーバーで保存した分もリーダー側で読み直す', async () => {
+  const token = 'multi-instance-token';
+  await putWatchlist(followerUrl, token, ['BTC', 'ETH']);
+  await waitForWatchlist(baseUrl, token, ['BTC', 'ETH']);
+
+  await putWatchlist(baseUrl, token, ['SOL']);
+  await waitForWatchlist(followerUrl, token, ['SOL']);
+});
@@ -0,0 +1,190 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJsonlStorage } = require('../storage');
+const { createDataStore, SNAPSHOT_RETENTION_MS } = require('../data-store');
+const { silenceLogs } = require('./helpers/mock-exchange');
+
+// ════════════════════════════════════════════════════
+// jsonl 保存先: スナップショットの間引き・続きからの読み込みと、データストアの保持期間
+// ════════════════════════════════════════════════════
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let dataDir;
+
+test.before(() => silenceLogs());
+
+test.beforeEach(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'volume-dashboard-storage-'));
+});
+
+test.afterEach(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+// 上位 count 銘柄の順位を持つスナップショット
+function makeSnapshot(timestamp, count = 3) {
+  const rankings = {};
+  for (let rank = 1; rank <= count; rank++) rankings[`S${rank}USDT`] = { rank, volume: 1000 - rank };
+  return { time: '00:00', timestamp, source: 'live', rankings };
+}
+
+const snapshotsFile = id => path.join(dataDir, `${id}.snapshots.jsonl`);
+
+test('pruneSnapshots: before より前と、keep 件を超える古い分を捨てて書き直す', async () => {
+  const storage = createJsonlStorage(dataDir);
+  for (const timestamp of [1, 2, 3, 4, 5]) await storage.appendSnapshot('ex', makeSnapshot(timestamp));
+
+  assert.deepStrictEqual(await storage.pruneSnapshots('ex', { before: 3 }), { before: 5, after: 3 });
+  assert.deepStrictEqual(await storage.pruneSnapshots('ex', { keep: 2 }), { before: 3, after: 2 });
+  const { snapshots } = await storage.loadExchange('ex');
+  assert.deepStrictEqual(snapshots.map(s => s.timestamp), [4, 5]);
+  // tmp が残らない
+  assert.deepStrictEqual(fs.readdirSync(dataDir), ['ex.snapshots.jsonl']);
+  assert.deepStrictEqual(await storage.pruneSnapshots('missing', { before: 1 }), { before: 0, after: 0 });
+});
+
+test('loadExchange: 前回の cursor を渡すと追記された分だけを読み、書き直されたら最初から読む', async () => {
+  const storage = createJsonlStorage(dataDir);
+  await storage.appendSnapshot('ex', makeSnapshot(1));
+  const first = await storage.loadExchange('ex');
+  assert.strictEqual(first.incremental, false);
+
+  await storage.appendSnapshot('ex', makeSnapshot(2));
+  const second = await storage.loadExchange('ex', { after: first.cursor });
+  assert.strictEqual(second.incremental, true);
+  assert.deepStrictEqual(second.snapshots.map(s => s.timestamp), [2]);
+
+  await storage.pruneSnapshots('ex', { keep: 1 });
+  const third = await storage.loadExchange('ex', { after: second.cursor });
+  assert.strictEqual(third.incremental, false);
+  assert.deepStrictEqual(third.snapshots.map(s => s.timestamp), [2]);
+});
+
+test('loadExchange: 書き込み途中の最終行は読まず、次回その行から読む', async () => {
+  const storage = createJsonlStorage(dataDir);
+  const line = JSON.stringify(makeSnapshot(2));
+  fs.writeFileSync(snapshotsFile('ex'), `${JSON.stringify(makeSnapshot(1))}\n${line.slice(0, 10)}`);
+  const first = await storage.loadExchange('ex');
+  assert.deepStrictEqual(first.snapshots.map(s => s.timestamp), [1]);
+
+  fs.appendFileSync(snapshotsFile('ex'), `${line.slice(10)}\n`);
+  const second = await storage.loadExchange('ex', { after: first.cursor });
+  assert.deepStrictEqual(second.snapshots.map(s => s.timestamp), [2]);
+});
+
+test('データストア: 保持期間を過ぎたスナップショットは読み込まず、古いものは上位200位までに絞る', async () => {
+  const storage = createJsonlStorage(dataDir);
+  const now = Date.now();
+  await storage.appendSnapshot('ex', makeSnapshot(now - SNAPSHOT_RETENTION_MS - HOUR_MS, 300));
+  await storage.appendSnapshot('ex', makeSnapshot(now - 48 * HOUR_MS, 300));
+  await storage.appendSnapshot('ex', makeSnapshot(now - HOUR_MS, 300));
+
+  const dataStore = createDataStore(storage);
+  await dataStore.load();
+  const counts = dataStore.store.ex.snapshots.map(s => Object.keys(s.rankings).length);
+  assert.deepStrictEqual(counts, [200, 300]);
+});
+
+test('データストア: 保存のついでに保存先からも保持期間を過ぎたスナップショットを捨てる', async () => {
+  const storage = createJsonlStorage(dataDir);
+  await storage.appendSnapshot('ex', makeSnapshot(Date.now() - SNAPSHOT_RETENTION_MS - HOUR_MS));
+
+  const dataStore = createDataStore(storage);
+  await dataStore.load();
+  dataStore.saveExchangeData('ex', [{ symbol: 'BTCUSDT', lastPrice: 1, priceChangePercent: 0, quoteVolume: 100 }]);
+  await dataStore.flush();
+
+  const { snapshots } = await storage.loadExchange('ex');
+  assert.deepStrictEqual(snapshots.map(s => s.source), ['live']);
+});
+
+test('データストア: sync は別プロセスが追記した分だけを取り込んで通知する', async () => {
+  const writer = createDataStore(createJsonlStorage(dataDir));
+  const reader = createDataStore(createJsonlStorage(dataDir));
+  const item = { symbol: 'BTCUSDT', lastPrice: 1, priceChangePercent: 0, quoteVolume: 100 };
+  writer.saveExchangeData('ex', [item]);
+  await writer.flush();
+  await reader.load();
+
+  const notified = [];
+  reader.events.on('snapshot', payload => notified.push(payload));
+  // 同じミリ秒に重ならないようずらす
+  await new Promise(resolve => setTimeout(resolve, 5));
+  writer.saveExchangeData('ex', [item]);
+  await writer.flush();
+
+  assert.deepStrictEqual(await reader.sync(), ['ex']);
+  assert.strictEqual(reader.store.ex.snapshots.length, 2);
+  assert.strictEqual(notified.length, 1);
+  assert.deepStrictEqual(await reader.sync(), []);
+});
+
+test('tryAcquireLock: 期限内は持ち主だけが延長でき、期限切れなら他のプロセスが取れる', async () => {
+  const storage = createJsonlStorage(dataDir);
+  assert.strictEqual(await storage.tryAcquireLock('collector', 'a', 50), true);
+  assert.strictEqual(await storage.tryAcquireLock('collector', 'b', 50), false);
+  assert.strictEqual(await storage.tryAcquireLock('collector', 'a', 50), true);
+
+  await new Promise(resolve => setTimeout(resolve, 60));
+  assert.strictEqual(await storage.tryAcquireLock('collector', 'b', 1000), true);
+  // 期限切れの間に取られたら、元の持ち主は延長できない
+  assert.strictEqual(await storage.tryAcquireLock('collector', 'a', 1000), false);
+  assert.strictEqual((await storage.readLock('collector')).owner, 'b');
+});
+
+test('tryAcquireLock: 自分のロックでも期限切れなら作り直す', async () => {
+  const storage = createJsonlStorage(dataDir);
+  assert.strictEqual(await storage.tryAcquireLock('collector', 'a', 10), true);
+  const { acquiredAt } = await storage.readLock('collector');
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.strictEqual(await storage.tryAcquireLock('collector', 'a', 1000), true);
+  assert.ok((await storage.readLock('collector')).acquiredAt > acquiredAt);
+});
+
+test('tryAcquireLock: 期限切れのロックを同時に取りに行っても取れるのは1プロセスだけ', async () => {
+  const storage = createJsonlStorage(dataDir);
+  assert.strictEqual(await storage.tryAcquireLock('collector', 'old', 10), true);
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  // b が期限切れのロックを読んで rename する直前で止め、その間に a が退かして取り直す
+  const rename = fs.promises.rename;
+  let resumeB;
+  let bRenaming;
+  const bPaused = new Promise(resolve => { bRenaming = resolve; });
+  fs.promises.rename = async (...args) => {
+    fs.promises.rename = rename;
+    bRenaming();
+    await new Promise(resolve => { resumeB = resolve; });
+    return rename(...args);
+  };
+  try {
+    const b = storage.tryAcquireLock('collector', 'b', 1000);
+    await bPaused;
+    assert.strictEqual(await storage.tryAcquireLock('collector', 'a', 1000), true);
+    resumeB();
+    assert.strictEqual(await b, false);
+  } finally {
+    fs.promises.rename = rename;
+  }
+  assert.strictEqual((await storage.readLock('collector')).owner, 'a');
+  assert.strictEqual(await storage.tryAcquireLock('collector', 'a', 1000), true);
+  assert.deepStrictEqual(fs.readdirSync(path.join(dataDir, 'locks')).filter(name => name.endsWith('.stale')), []);
+});
+
+test('データストア: スナップショット削除の書き直しと保存が重なっても保存した分は消えない', async () => {
+  const storage = createJsonlStorage(dataDir);
+  const dataStore = createDataStore(storage);
+  const item = { symbol: 'BTCUSDT', lastPrice: 1, priceChangePercent: 0, quoteVolume: 100 };
+  dataStore.saveExchangeData('ex', [item]);
+  dataStore.saveExchangeData('ex', [item]);
+
+  const trimmed = dataStore.trimSnapshots('ex', { keep: 0 });
+  dataStore.saveExchangeData('ex', [item]);
+  assert.deepStrictEqual((await trimmed).memory, { before: 2, after: 0 });
+  await dataStore.flush();
+
+  assert.strictEqual(dataStore.store.ex.snapshots.length, 1);
+  assert.strictEqual((await storage.loadExchange('ex')).snapshots.length, 1);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { computeVolumeMetrics, trailingDeltas, VOLUME_SPIKE_RATIO } = require('../volume-metrics');
+
+// ════════════════════════════════════════════════════
+// 出来高デルタ・加速度: 初回・取得失敗 (fallback / missing)・銘柄が居なかった区間
+// ════════════════════════════════════════════════════
+
+// volumes: { symbol: 出来高 }。source は live / fallback / missing
+function snapshot(volumes, source = 'live') {
+  const rankings = {};
+  Object.entries(volumes).forEach(([symbol, volume], index) => { rankings[symbol] = { rank: index + 1, volume }; });
+  return { timestamp: 0, source, rankings };
+}
+
+function metricsFor(quoteVolume, snapshots) {
+  const [item] = computeVolumeMetrics([{ symbol: 'BTCUSDT', quoteVolume }], snapshots);
+  return item;
+}
+
+test('初回 (スナップが無い) は比較できないので null', () => {
+  const { volumeDelta, volumeAccel, volumeSpike } = metricsFor(100, []);
+  assert.deepStrictEqual({ volumeDelta, volumeAccel, volumeSpike }, { volumeDelta: null, volumeAccel: null, volumeSpike: false });
+});
+
+test('前回スナップとの差を増分とし、直近の増分平均との比を加速度とする', () => {
+  const snapshots = [100, 110, 120, 130].map(volume => snapshot({ BTCUSDT: volume }));
+  const item = metricsFor(130 + 10 * VOLUME_SPIKE_RATIO, snapshots);
+  assert.strictEqual(item.volumeDelta, 30);
+  assert.strictEqual(item.volumeAccel, VOLUME_SPIKE_RATIO);
+  assert.strictEqual(item.volumeSpike, true);
+});
+
+test('前回の取得が失敗 (fallback / missing) していたら増分を出さない', () => {
+  const live = snapshot({ BTCUSDT: 100 });
+  for (const source of ['fallback', 'missing']) {
+    const failed = snapshot(source === 'fallback' ? { BTCUSDT: 100 } : {}, source);
+    const item = metricsFor(500, [live, failed]);
+    assert.strictEqual(item.volumeDelta, null, source);
+    assert.strictEqual(item.volumeSpike, false, source);
+  }
+});
+
+test('fallback を挟んだ区間は直近の増分平均に入れない', () => {
+  // 100 → 110 → (fallback: 110 の複製) → 200 → 210。fallback との差 0 と、fallback 明けの 90 は平均に入らない
+  const snapshots = [
+    snapshot({ BTCUSDT: 100 }),
+    snapshot({ BTCUSDT: 110 }),
+    snapshot({ BTCUSDT: 110 }, 'fallback'),
+    snapshot({ BTCUSDT: 200 }),
+    snapshot({ BTCUSDT: 210 }),
+  ];
+  assert.deepStrictEqual(trailingDeltas(snapshots, 'BTCUSDT', 4), [10, null, null, 10]);
+  const item = metricsFor(240, snapshots);
+  assert.strictEqual(item.volumeDelta, 30);
+  assert.strictEqual(item.volumeAccel, 3);
+});
+
+test('銘柄が居なかったスナップは詰めずに null の区間にする', () => {
+  const snapshots = [
+    snapshot({ BTCUSDT: 100 }),
+    snapshot({ ETHUSDT: 50 }),
+    snapshot({ BTCUSDT: 400 }),
+    snapshot({ BTCUSDT: 410 }),
+  ];
+  // 100 と 400 は隣ではないので差を取らない
+  assert.deepStrictEqual(trailingDeltas(snapshots, 'BTCUSDT', 3), [null, null, 10]);
+  assert.strictEqual(metricsFor(420, snapshots).volumeAccel, 1);
+});
+
+test('source の無い古いスナップショットは live として比べる', () => {
+  const { source, ...legacy } = snapshot({ BTCUSDT: 100 });
+  assert.strictEqual(source, 'live');
+  assert.strictEqual(metricsFor(150, [legacy]).volumeDelta, 50);
+});
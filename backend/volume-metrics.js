@@ -0,0 +1,56 @@
+// ════════════════════════════════════════════════════
+// 出来高デルタ・加速度
+// quoteVolume は24hローリングなので、前回スナップからの増分(volumeDelta)を「直近インターバルの流入」とみなす
+// volumeAccel = 今回の増分 / 直近 TRAILING_WINDOW 回の増分平均
+// 取得に失敗したスナップ (fallback = 前回データの複製、missing = 空) は出来高が無いものとして扱う
+// 失敗の前後や銘柄がスナップに居なかった区間は増分を出さず (null)、離れたスナップ同士を隣として比べない
+// ════════════════════════════════════════════════════
+
+const TRAILING_WINDOW = 6;
+const VOLUME_SPIKE_RATIO = 3;
+
+// source の無い古いスナップショットは live 扱い
+function volumeAt(snapshot, symbol) {
+  if (!snapshot || (snapshot.source || 'live') !== 'live') return null;
+  return snapshot.rankings[symbol]?.volume ?? null;
+}
+
+// snapshots(古い順)から symbol の直近 count+1 件の出来高を取り出し、隣同士の差を返す (count 件)
+// どちらかの出来高が無い区間は null（位置は詰めない）
+function trailingDeltas(snapshots, symbol, count) {
+  const volumes = snapshots.slice(-(count + 1)).map(snap => volumeAt(snap, symbol));
+  const deltas = [];
+  for (let i = 1; i < volumes.length; i++) {
+    deltas.push(volumes[i] != null && volumes[i - 1] != null ? volumes[i] - volumes[i - 1] : null);
+  }
+  return deltas;
+}
+
+/**
+ * data(今回取得分)の各銘柄に volumeDelta / volumeAccel / volumeSpike を付けて返す
+ * snapshots は失敗分も含めた全スナップ (古い順)
+ * 前回スナップに居ない銘柄・前回の取得が失敗していた場合は比較できないので null
+ */
+function computeVolumeMetrics(data, snapshots) {
+  const previous = snapshots[snapshots.length - 1];
+  return data.map(item => {
+    const prevVolume = volumeAt(previous, item.symbol);
+    if (prevVolume == null) {
+      return { ...item, volumeDelta: null, volumeAccel: null, volumeSpike: false };
+    }
+    const volumeDelta = item.quoteVolume - prevVolume;
+    const trailing = trailingDeltas(snapshots, item.symbol, TRAILING_WINDOW).filter(d => d != null);
+    const trailingAvg = trailing.length
+      ? trailing.reduce((sum, d) => sum + Math.max(d, 0), 0) / trailing.length
+      : 0;
+    const volumeAccel = trailingAvg > 0 ? volumeDelta / trailingAvg : null;
+    return {
+      ...item,
+      volumeDelta,
+      volumeAccel,
+      volumeSpike: volumeDelta > 0 && volumeAccel != null && volumeAccel >= VOLUME_SPIKE_RATIO,
+    };
+  });
+}
+
+module.exports = { computeVolumeMetrics, trailingDeltas, VOLUME_SPIKE_RATIO };
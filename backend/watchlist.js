@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+const { canonicalizeAsset } = require('./assets');
+
+// ════════════════════════════════════════════════════
+// ウォッチリスト
+// ユーザー識別はクライアントが生成した任意のトークン (X-Watchlist-Token ヘッダ)
+// 保存時はトークンそのものではなく SHA-256 ハッシュをキーにする
+// ════════════════════════════════════════════════════
+
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
+const MAX_WATCHLIST_SIZE = 500;
+
+function isValidToken(token) {
+  return typeof token === 'string' && TOKEN_PATTERN.test(token);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// 基軸通貨名(BTC, PEPE ...)の配列に正規化。不正な値は例外
+// 銘柄対応表で正規化するので 1000PEPE と PEPE は同じ銘柄になる
+function normalizeWatchlist(symbols) {
+  if (!Array.isArray(symbols)) throw new Error('symbols は配列で指定してください');
+  if (symbols.length > MAX_WATCHLIST_SIZE) throw new Error(`ウォッチリストは${MAX_WATCHLIST_SIZE}銘柄までです`);
+  const normalized = symbols.map(s => String(s).trim()).filter(Boolean).map(s => canonicalizeAsset(s).asset);
+  return [...new Set(normalized)];
+}
+
+// API サーバーが複数あっても他のサーバーの更新を消さないよう、保存は毎回読み直してから行う
+// (読み込みは起動時と、別プロセスのコレクタからの同期のたび)
+function createWatchlistStore(storage) {
+  let watchlists = {};
+  // 同時 PUT で同じファイルへの書き込みが重ならないよう、読み込みも含めて直列化
+  let queue = Promise.resolve();
+  const enqueue = task => (queue = queue.catch(() => {}).then(task));
+
+  return {
+    load() {
+      return enqueue(async () => {
+        watchlists = await storage.loadWatchlists();
+      });
+    },
+    // 対応表ができる前に保存されたリスト (1000PEPE など) も読み出し時に正規化する
+    get(token) {
+      return normalizeWatchlist(watchlists[hashToken(token)] || []);
+    },
+    async set(token, symbols) {
+      await enqueue(async () => {
+        watchlists = { ...(await storage.loadWatchlists()), [hashToken(token)]: symbols };
+        await storage.saveWatchlists(watchlists);
+      });
+      return symbols;
+    },
+  };
+}
+
+module.exports = { isValidToken, normalizeWatchlist, createWatchlistStore };
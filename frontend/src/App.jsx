@@ -1,13 +1,22 @@
-import { useEffect, useState, useCallback } from 'react';
+import { useEffect, useCallback } from 'react';
 import VolumeTable from './components/VolumeTable';
-import { useExchangeData, TABS } from './utils';
+import AggregateTable from './components/AggregateTable';
+import ListingFeed from './components/ListingFeed';
+import { useExchangeData, useExchangeTabs, useWatchlist, useListingEvents, useUrlParams, apiUrl, AGGREGATE_TAB } from './utils';
 import './index.css';
 
 function App() {
-  const [activeTab, setActiveTab] = useState(TABS[0].id);
-  const { dataMap, loadingMap, errorMap, lastUpdateMap, fetchData } = useExchangeData();
+  const { tabs, error: tabsError, reload: reloadTabs } = useExchangeTabs();
+  // 選択中のタブは URL (?tab=) に載せて共有できるようにする
+  const [urlParams, setUrlParams] = useUrlParams();
+  const selectedTab = tabs.some(t => t.id === urlParams.tab) ? urlParams.tab : null;
+  const activeTab = selectedTab ?? tabs[0]?.id ?? null;
+  // 上場・上場廃止のフィード（SSE で届いたものを足していく）
+  const listingEvents = useListingEvents();
+  const { dataMap, loadingMap, errorMap, lastUpdateMap, fetchData, topN, setTopN } = useExchangeData(tabs, { onListing: listingEvents.add });
+  const watchlist = useWatchlist();
 
-  const currentTab = TABS.find(t => t.id === activeTab);
+  const currentTab = tabs.find(t => t.id === activeTab);
   const data = dataMap[activeTab];
   const loading = loadingMap[activeTab];
   const error = errorMap[activeTab];
@@ -15,7 +24,7 @@ function App() {
 
   // タブ切り替え時・初回ロード（取引所APIは叩かない。サーバーのメモリデータを取得するだけ）
   useEffect(() => {
-    if (!dataMap[activeTab]) {
+    if (activeTab && !dataMap[activeTab]) {
       fetchData(activeTab);
     }
   }, [activeTab, fetchData]);
@@ -24,9 +33,17 @@ function App() {
     await fetchData(activeTab);
   }, [fetchData, activeTab]);
 
+  // 別端末と同じウォッチリストを使うにはトークンを揃える
+  const handleWatchlistToken = useCallback(() => {
+    const next = window.prompt('ウォッチリストのトークン（別端末と同じ値にすると同期されます）', watchlist.token);
+    if (next && next !== watchlist.token && !watchlist.setToken(next.trim())) {
+      window.alert('トークンは 8〜128 文字の英数字・_・- で指定してください');
+    }
+  }, [watchlist]);
+
   const handleTabChange = useCallback((tabId) => {
-    setActiveTab(tabId);
-  }, []);
+    setUrlParams({ tab: tabId });
+  }, [setUrlParams]);
 
   return (
     <>
@@ -42,13 +59,33 @@ function App() {
               {currentTab?.badgeText}
             </span>
           </div>
+          <div className="header-right">
+            {/* 現在の表示件数 + 直近スナップショットをダウンロード（集計タブは対象外） */}
+            {currentTab && activeTab !== AGGREGATE_TAB.id && (
+              <>
+                <a className="refresh-btn" href={apiUrl(`/api/${activeTab}/export.csv?limit=${topN}`)} download>
+                  ⬇ CSV
+                </a>
+                <a className="refresh-btn" href={apiUrl(`/api/${activeTab}/export.json?limit=${topN}`)} download>
+                  ⬇ JSON
+                </a>
+              </>
+            )}
+            <button
+              className="refresh-btn"
+              onClick={handleWatchlistToken}
+              title={watchlist.synced ? 'ウォッチリスト: サーバー同期済み' : 'ウォッチリスト: この端末のみ（サーバー未同期）'}
+            >
+              {watchlist.synced ? '★ 同期' : '★ ローカル'}
+            </button>
+          </div>
         </div>
       </header>
 
       {/* タブ */}
       <nav className="tabs-nav">
         <div className="tabs-container">
-          {TABS.map(tab => (
+          {tabs.map(tab => (
             <button
               key={tab.id}
               className={`tab-btn ${activeTab === tab.id ? 'active' : ''}`}
@@ -63,6 +100,22 @@ function App() {
         </div>
       </nav>
 
+      <ListingFeed
+        events={listingEvents.events}
+        tabs={tabs}
+        onSelect={event => handleTabChange(event.exchange)}
+      />
+
+      {/* 取引所一覧の取得エラー */}
+      {tabsError && !tabs.length && (
+        <div className="error-container">
+          <div className="error-icon">⚠️</div>
+          <div className="error-text">取引所一覧の取得エラー</div>
+          <div className="error-detail">{tabsError}</div>
+          <button className="refresh-btn" onClick={reloadTabs}>再試行</button>
+        </div>
+      )}
+
       {/* エラー状態 */}
       {error && !data && (
         <div className="error-container">
@@ -74,13 +127,29 @@ function App() {
       )}
 
       {/* テーブル */}
-      {loading && !data ? (
+      {(loading || (!currentTab && !tabsError)) && !data ? (
         <div className="loading-container">
           <div className="loading-spinner" />
           <div className="loading-text">{currentTab?.description}データを取得中...</div>
         </div>
       ) : (
-        data && <VolumeTable data={data.data} snapshots={data.snapshots || []} />
+        data && (activeTab === AGGREGATE_TAB.id
+          ? <AggregateTable data={data.data} exchanges={data.exchanges || []} />
+          : <VolumeTable
+              exchangeId={activeTab}
+              data={data.data}
+              snapshots={data.snapshots || []}
+              intervalMinutes={data.intervalMinutes || currentTab?.intervalMinutes}
+              freshness={data.freshness}
+              nativeCurrency={currentTab?.nativeCurrency}
+              conversion={data.conversion}
+              pumpRule={data.pumpRule}
+              total={data.total}
+              topN={topN}
+              onTopNChange={setTopN}
+              watchlist={watchlist.symbols}
+              onToggleWatch={watchlist.toggle}
+            />)
       )}
     </>
   );
@@ -0,0 +1,117 @@
+import { useState, useMemo } from 'react';
+import { formatVolume } from '../utils';
+
+// venue:<id> は取引所内順位でソート。その取引所に無い銘柄は null (=常に末尾)
+function getSortValue(item, key) {
+    if (key === 'asset') return item.asset.toLowerCase();
+    if (key.startsWith('venue:')) return item.venues[key.slice(6)]?.rank ?? null;
+    return item[key] ?? 0;
+}
+
+// 取引所横断ランキング: 基軸通貨ごとの合計出来高 + 各取引所での順位・出来高シェア
+function AggregateTable({ data, exchanges = [] }) {
+    const [sortConfig, setSortConfig] = useState({ key: null, direction: 'ascending' });
+
+    const sortedData = useMemo(() => {
+        if (!data) return [];
+        const items = [...data];
+        if (sortConfig.key !== null) {
+            items.sort((a, b) => {
+                const valA = getSortValue(a, sortConfig.key);
+                const valB = getSortValue(b, sortConfig.key);
+                if (valA === null && valB === null) return 0;
+                if (valA === null) return 1;
+                if (valB === null) return -1;
+                if (valA < valB) return sortConfig.direction === 'ascending' ? -1 : 1;
+                if (valA > valB) return sortConfig.direction === 'ascending' ? 1 : -1;
+                return 0;
+            });
+        }
+        return items;
+    }, [data, sortConfig]);
+
+    const requestSort = (key) => {
+        let direction = 'ascending';
+        if (sortConfig.key === key && sortConfig.direction === 'ascending') {
+            direction = 'descending';
+        }
+        setSortConfig({ key, direction });
+    };
+
+    const columns = [
+        { key: 'rank', label: '#', sortable: false },
+        { key: 'asset', label: '銘柄' },
+        { key: 'quoteVolume', label: '合計出来高' },
+        { key: 'venueCount', label: '取引所数' },
+        ...exchanges.map(ex => ({ key: `venue:${ex.id}`, label: ex.shortLabel, color: ex.color, isVenue: true })),
+    ];
+
+    return (
+        <div className="table-wrapper">
+            <table className="volume-table">
+                <thead>
+                    <tr>
+                        {columns.map(col => (
+                            <th
+                                key={col.key}
+                                className={`${col.sortable !== false ? 'sortable' : ''} ${col.isVenue ? 'snapshot-header' : ''} ${sortConfig.key === col.key ? sortConfig.direction : ''}`}
+                                onClick={() => col.sortable !== false && requestSort(col.key)}
+                                style={col.color ? { color: col.color } : undefined}
+                            >
+                                <span className="th-content">
+                                    {col.label}
+                                    {sortConfig.key === col.key && (
+                                        <span className="sort-arrow">
+                                            {sortConfig.direction === 'ascending' ? '▲' : '▼'}
+                                        </span>
+                                    )}
+                                </span>
+                            </th>
+                        ))}
+                    </tr>
+                </thead>
+                <tbody>
+                    {sortedData.map((item, index) => {
+                        const rank = index + 1;
+                        return (
+                            <tr key={item.asset}>
+                                <td>
+                                    <span className={`rank-badge ${rank <= 3 ? `rank-${rank}` : ''}`}>
+                                        {rank}
+                                    </span>
+                                </td>
+                                <td>
+                                    <div className="symbol-cell">
+                                        <span className="symbol-base" title={item.displayName !== item.asset ? item.asset : undefined}>
+                                            {item.displayName || item.asset}
+                                        </span>
+                                    </div>
+                                </td>
+                                <td className="volume-cell">{formatVolume(item.quoteVolume)}</td>
+                                <td className="count-cell">{item.venueCount}</td>
+
+                                {/* 取引所ごとの順位 + 出来高シェア */}
+                                {exchanges.map(ex => {
+                                    const venue = item.venues[ex.id];
+                                    if (!venue) {
+                                        return <td key={ex.id} className="snapshot-td"><span className="snap-muted">-</span></td>;
+                                    }
+                                    return (
+                                        <td key={ex.id} className="snapshot-td" title={`${ex.label}: ${formatVolume(venue.quoteVolume)}`}>
+                                            <div className="snap-stack">
+                                                <span className="snap-rank">#{venue.rank}</span>
+                                                <span className="snap-volume">{(venue.share * 100).toFixed(1)}%</span>
+                                            </div>
+                                        </td>
+                                    );
+                                })}
+                            </tr>
+                        );
+                    })}
+                </tbody>
+            </table>
+        </div>
+    );
+}
+
+export default AggregateTable;
@@ -0,0 +1,43 @@
+// 依存ライブラリ無しの簡易折れ線チャート (SVG)
+// points: [{ x: timestamp, y }]。invert=true で値が小さいほど上に描く（順位用）
+const WIDTH = 360;
+const HEIGHT = 120;
+const PAD = 8;
+
+function LineChart({ points, invert = false, color = 'var(--accent-cyan)', formatValue = v => v }) {
+    if (points.length < 2) {
+        return <div className="chart-empty">データ不足（スナップショット2件以上で表示）</div>;
+    }
+
+    const xs = points.map(p => p.x);
+    const ys = points.map(p => p.y);
+    const minX = Math.min(...xs);
+    const maxX = Math.max(...xs);
+    const minY = Math.min(...ys);
+    const maxY = Math.max(...ys);
+    const spanX = maxX - minX || 1;
+    const spanY = maxY - minY || 1;
+
+    const toX = x => PAD + ((x - minX) / spanX) * (WIDTH - PAD * 2);
+    const toY = y => {
+        const ratio = (y - minY) / spanY;
+        return PAD + (invert ? ratio : 1 - ratio) * (HEIGHT - PAD * 2);
+    };
+    const path = points.map(p => `${toX(p.x).toFixed(1)},${toY(p.y).toFixed(1)}`).join(' ');
+    const last = points[points.length - 1];
+
+    return (
+        <div className="chart">
+            <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} preserveAspectRatio="none" className="chart-svg">
+                <polyline points={path} fill="none" stroke={color} strokeWidth="2" vectorEffect="non-scaling-stroke" />
+                <circle cx={toX(last.x)} cy={toY(last.y)} r="3" fill={color} />
+            </svg>
+            <div className="chart-axis">
+                <span>{invert ? '最高' : '最大'} {formatValue(invert ? minY : maxY)}</span>
+                <span>{invert ? '最低' : '最小'} {formatValue(invert ? maxY : minY)}</span>
+            </div>
+        </div>
+    );
+}
+
+export default LineChart;
@@ -0,0 +1,38 @@
+import { formatDateTime, formatDate } from '../utils';
+
+// 上場・上場廃止のフィード（新しい順）。クリックでその取引所のタブに切り替える
+function ListingFeed({ events, tabs, onSelect }) {
+    if (!events.length) return null;
+    const tabMap = new Map(tabs.map(tab => [tab.id, tab]));
+
+    return (
+        <section className="listing-feed">
+            <span className="listing-feed-title">📢 新規上場</span>
+            <div className="listing-feed-items">
+                {events.map(event => {
+                    const tab = tabMap.get(event.exchange);
+                    const isListing = event.type === 'listing';
+                    return (
+                        <button
+                            key={event.id}
+                            className={`listing-chip ${event.type}`}
+                            onClick={() => onSelect(event)}
+                            title={`${tab?.label || event.exchange} ${isListing ? '新規上場' : '上場廃止'}: ${event.instrumentId}`
+                                + ` (検知 ${formatDateTime(event.detectedAt)}`
+                                + `${event.listingTime ? ` / 取引開始 ${formatDate(event.listingTime)}` : ''})`}
+                        >
+                            <span className="listing-chip-exchange" style={{ color: tab?.color }}>
+                                {tab?.shortLabel || event.exchange}
+                            </span>
+                            <span className="listing-chip-symbol">{event.instrumentId}</span>
+                            {!isListing && <span className="listing-chip-type">廃止</span>}
+                            <span className="listing-chip-time">{formatDateTime(event.detectedAt)}</span>
+                        </button>
+                    );
+                })}
+            </div>
+        </section>
+    );
+}
+
+export default ListingFeed;
@@ -0,0 +1,159 @@
+import { useState, useEffect } from 'react';
+import LineChart from './LineChart';
+import { formatVolume, formatPrice, formatPercent, formatCount, formatDate, parseSymbol, fetchJson } from '../utils';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 表示中のスナップショットからの系列（履歴APIが使えない場合のフォールバック）
+function seriesFromSnapshots(snapshots, symbol) {
+    return snapshots
+        .filter(snap => snap.rankings[symbol])
+        .map(snap => ({ timestamp: snap.timestamp, rank: snap.rankings[symbol].rank, volume: snap.rankings[symbol].volume }));
+}
+
+// 銘柄詳細ドロワー: 順位・出来高の推移 + 他取引所での出現状況
+// 価格・24h出来高は一覧と同じ表示通貨 (displayCurrency) で出す。推移と他の取引所は突き合わせ用に USD のまま
+function SymbolDetail({ exchangeId, item, snapshots = [], displayCurrency = 'USD', conversion = null, onClose }) {
+    const { base, quote } = parseSymbol(item.symbol);
+    const displayName = item.displayName || base;
+    // 他の取引所の検索はサーバーの銘柄対応表で正規化した asset で行う
+    const asset = item.asset || displayName;
+    const [history, setHistory] = useState(null);
+    const [venues, setVenues] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        // サーバーが保持している全期間 (retentionMs) を取る
+        fetchJson(`/api/${exchangeId}/history?from=0&symbol=${encodeURIComponent(item.symbol)}`)
+            .then(result => {
+                if (!cancelled) setHistory({ series: result.symbols[item.symbol] || [], retentionMs: result.retentionMs });
+            })
+            .catch(() => { if (!cancelled) setHistory(null); });
+        fetchJson(`/api/assets/${encodeURIComponent(asset)}`)
+            .then(result => { if (!cancelled) setVenues(result.venues); })
+            .catch(() => { if (!cancelled) setVenues([]); });
+        return () => { cancelled = true; };
+    }, [exchangeId, item.symbol, asset]);
+
+    useEffect(() => {
+        const onKeyDown = (e) => { if (e.key === 'Escape') onClose(); };
+        window.addEventListener('keydown', onKeyDown);
+        return () => window.removeEventListener('keydown', onKeyDown);
+    }, [onClose]);
+
+    const series = history?.series ?? seriesFromSnapshots(snapshots, item.symbol);
+    const historyDays = history?.retentionMs ? Math.round(history.retentionMs / DAY_MS) : null;
+    const changeClass = item.priceChangePercent >= 0 ? 'positive' : 'negative';
+    // 現地通貨建ては取引所の現地通貨の値をそのまま使い、無ければ USD 換算値に換算レートを掛け戻す
+    const isNative = displayCurrency !== 'USD';
+    const toDisplay = (usdValue, nativeValue) => {
+        if (!isNative || usdValue == null) return usdValue;
+        if (nativeValue != null) return nativeValue;
+        return conversion?.rate ? usdValue * conversion.rate : null;
+    };
+    const price = toDisplay(item.lastPrice, item.lastPriceKrw);
+    const volume = toDisplay(item.quoteVolume, item.quoteVolumeKrw);
+    const otherVenues = (venues || []).filter(v => v.exchange !== exchangeId);
+    // Binance Alpha のトークン情報（トークンリストに入っていた分だけ）
+    const tokenInfo = [
+        ['チェーン', item.chainName],
+        ['コントラクト', item.contractAddress],
+        ['時価総額', item.marketCap != null ? formatVolume(item.marketCap) : null],
+        ['保有者', item.holders != null ? formatCount(item.holders) : null],
+        ['上場日', item.listingTime != null ? formatDate(item.listingTime) : null],
+        ['Binance先物', item.futuresSymbol
+            ? `${item.futuresSymbol}${item.futuresListingTime ? ` (${formatDate(item.futuresListingTime)} 上場)` : ''}`
+            : null],
+    ].filter(([, value]) => value);
+
+    return (
+        <div className="drawer-overlay" onClick={onClose}>
+            <aside className="drawer" onClick={e => e.stopPropagation()}>
+                <div className="drawer-header">
+                    <div className="symbol-cell">
+                        <span className="symbol-base">{displayName}</span>
+                        <span className="symbol-quote">/ {isNative ? displayCurrency : quote || 'USDT'}</span>
+                    </div>
+                    <button className="drawer-close" onClick={onClose} aria-label="閉じる">✕</button>
+                </div>
+
+                <div className="drawer-stats">
+                    <div className="stat-card">
+                        <div className="stat-label">価格</div>
+                        <div className="stat-value">
+                            {price == null ? '-' : `${displayCurrency === 'KRW' ? '₩' : '$'}${formatPrice(price, displayCurrency)}`}
+                        </div>
+                    </div>
+                    <div className="stat-card">
+                        <div className="stat-label">24h変動</div>
+                        <div className={`stat-value ${changeClass === 'positive' ? 'green' : 'red'}`}>
+                            {formatPercent(item.priceChangePercent)}
+                        </div>
+                    </div>
+                    <div className="stat-card">
+                        <div className="stat-label">24h出来高</div>
+                        <div className="stat-value cyan">{volume == null ? '-' : formatVolume(volume, displayCurrency)}</div>
+                    </div>
+                </div>
+
+                {item.chainName && tokenInfo.length > 0 && (
+                    <section className="drawer-section">
+                        <h3>トークン情報</h3>
+                        <dl className="token-info">
+                            {tokenInfo.map(([label, value]) => (
+                                <div key={label}>
+                                    <dt>{label}</dt>
+                                    <dd>{value}</dd>
+                                </div>
+                            ))}
+                        </dl>
+                    </section>
+                )}
+
+                <section className="drawer-section">
+                    <h3>順位の推移{historyDays ? `（直近${historyDays}日）` : ''}</h3>
+                    <LineChart
+                        points={series.map(p => ({ x: p.timestamp, y: p.rank }))}
+                        invert
+                        color="var(--accent-yellow)"
+                        formatValue={v => `#${v}`}
+                    />
+                </section>
+
+                <section className="drawer-section">
+                    <h3>24h出来高の推移</h3>
+                    <LineChart
+                        points={series.map(p => ({ x: p.timestamp, y: p.volume }))}
+                        formatValue={v => formatVolume(v)}
+                    />
+                </section>
+
+                <section className="drawer-section">
+                    <h3>他の取引所</h3>
+                    {venues === null ? (
+                        <div className="snap-muted">読み込み中...</div>
+                    ) : otherVenues.length === 0 ? (
+                        <div className="snap-muted">他の取引所では取り扱いがありません</div>
+                    ) : (
+                        <ul className="venue-list">
+                            {otherVenues.map(v => (
+                                <li key={v.exchange}>
+                                    <span className="venue-name" style={{ color: v.color }}>{v.label}</span>
+                                    {v.symbol !== item.symbol && (
+                                        <span className="snap-muted" title={v.multiplier !== 1 ? `価格は ${v.multiplier.toLocaleString()} 枚分` : undefined}>
+                                            {v.symbol}
+                                        </span>
+                                    )}
+                                    <span className="snap-rank">#{v.rank}</span>
+                                    <span className="snap-volume">{formatVolume(v.quoteVolume)}</span>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </section>
+            </aside>
+        </div>
+    );
+}
+
+export default SymbolDetail;
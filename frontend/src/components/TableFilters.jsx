@@ -0,0 +1,130 @@
+// VolumeTable の検索・絞り込み・列表示切り替え
+// 値は全て URL クエリ (q / minVol / chgMin / chgMax / chain / only / listedDays / hide) の文字列のまま受け渡す
+// chains: データに含まれるチェーン名（無ければチェーンの絞り込みは出さない）
+// listedDaysOptions: 上場日時を持つ取引所のときだけ「新規上場」の期間の選択肢
+function TableFilters({ params, onChange, columns, hidden, chains = [], listedDaysOptions = null, listedDays }) {
+    const toggleColumn = (key) => {
+        const next = new Set(hidden);
+        if (next.has(key)) next.delete(key);
+        else next.add(key);
+        onChange({ hide: [...next].join(',') });
+    };
+
+    const hasFilter = ['q', 'minVol', 'chgMin', 'chgMax', 'chain', 'only'].some(key => params[key]);
+
+    return (
+        <div className="filter-bar">
+            <input
+                className="filter-input filter-search"
+                type="search"
+                placeholder="銘柄を検索"
+                value={params.q || ''}
+                onChange={e => onChange({ q: e.target.value })}
+            />
+            <label className="filter-field">
+                <span>出来高 ≥</span>
+                <input
+                    className="filter-input filter-number"
+                    type="number"
+                    min="0"
+                    placeholder="M$"
+                    value={params.minVol || ''}
+                    onChange={e => onChange({ minVol: e.target.value })}
+                />
+                <span>M</span>
+            </label>
+            <label className="filter-field">
+                <span>24h変動</span>
+                <input
+                    className="filter-input filter-number"
+                    type="number"
+                    placeholder="min%"
+                    value={params.chgMin || ''}
+                    onChange={e => onChange({ chgMin: e.target.value })}
+                />
+                <span>〜</span>
+                <input
+                    className="filter-input filter-number"
+                    type="number"
+                    placeholder="max%"
+                    value={params.chgMax || ''}
+                    onChange={e => onChange({ chgMax: e.target.value })}
+                />
+            </label>
+            {chains.length > 0 && (
+                <label className="filter-field">
+                    <span>チェーン</span>
+                    <select
+                        className="filter-input"
+                        value={params.chain || ''}
+                        onChange={e => onChange({ chain: e.target.value })}
+                    >
+                        <option value="">すべて</option>
+                        {chains.map(chain => (
+                            <option key={chain} value={chain}>{chain}</option>
+                        ))}
+                    </select>
+                </label>
+            )}
+            <button
+                className={`timeframe-btn ${params.only === 'pump' ? 'active' : ''}`}
+                onClick={() => onChange({ only: params.only === 'pump' ? null : 'pump' })}
+            >
+                🔥 PUMPのみ
+            </button>
+            <button
+                className={`timeframe-btn ${params.only === 'new' ? 'active' : ''}`}
+                onClick={() => onChange({ only: params.only === 'new' ? null : 'new' })}
+            >
+                🆕 新規のみ
+            </button>
+            {listedDaysOptions && (
+                <>
+                    <label className="filter-field">
+                        <span>新規上場</span>
+                        <select
+                            className="filter-input"
+                            value={listedDays}
+                            onChange={e => onChange({ listedDays: e.target.value })}
+                        >
+                            {listedDaysOptions.map(days => (
+                                <option key={days} value={days}>{days}日以内</option>
+                            ))}
+                        </select>
+                    </label>
+                    <button
+                        className={`timeframe-btn ${params.only === 'listed' ? 'active' : ''}`}
+                        onClick={() => onChange({ only: params.only === 'listed' ? null : 'listed' })}
+                    >
+                        NEW のみ
+                    </button>
+                </>
+            )}
+            {hasFilter && (
+                <button
+                    className="timeframe-btn"
+                    onClick={() => onChange({ q: null, minVol: null, chgMin: null, chgMax: null, chain: null, only: null })}
+                >
+                    クリア
+                </button>
+            )}
+            <details className="column-chooser">
+                <summary className="timeframe-btn">列</summary>
+                <div className="column-chooser-menu">
+                    {columns.map(col => (
+                        <label key={col.key}>
+                            <input
+                                type="checkbox"
+                                checked={!hidden.has(col.key)}
+                                onChange={() => toggleColumn(col.key)}
+                            />
+                            {col.label}
+                        </label>
+                    ))}
+                </div>
+            </details>
+        </div>
+    );
+}
+
+export default TableFilters;
@@ -1,11 +1,121 @@
-import { useState, useMemo, useEffect } from 'react';
-import { formatVolume, formatPrice, formatPercent, parseSymbol } from '../utils';
+import { useState, useMemo, useEffect, useCallback } from 'react';
+import SymbolDetail from './SymbolDetail';
+import TableFilters from './TableFilters';
+import { formatVolume, formatPrice, formatPercent, parseSymbol, TIMEFRAMES, formatTimeframe, findSnapshotAgo, loadLocal, saveLocal, formatVolumeDelta, formatAccel, formatFundingRate, formatDateTime, formatDate, formatCount, TOP_N_OPTIONS, useUrlParams } from '../utils';
 
-const PUMP_THRESHOLD = 10;
 const MOBILE_SNAPSHOT_LIMIT = 6;
+const SORT_KEY = 'volumeTable.sort';
+const WATCH_MODE_KEY = 'volumeTable.watchMode';
+// 「新規上場」の印を付ける期間 (?listedDays=N)
+const LISTED_DAYS_OPTIONS = [3, 7, 14, 30];
+const DEFAULT_LISTED_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// デフォルト引数を毎レンダー新しい配列にするとメモ化が効かないので共有の空配列を使う
+const NO_SNAPSHOTS = [];
 
-function VolumeTable({ data, snapshots = [] }) {
-    const [sortConfig, setSortConfig] = useState({ key: null, direction: 'ascending' });
+// ウォッチリストの表示方法: 全件 / ウォッチ銘柄を先頭に固定 / ウォッチ銘柄のみ
+const WATCH_MODES = [
+    { id: 'all', label: 'すべて' },
+    { id: 'pin', label: '★を先頭' },
+    { id: 'only', label: '★のみ' },
+];
+
+// 取引所をまたいで同じ銘柄とみなす名前。サーバーが銘柄対応表で付ける asset (1000PEPE → PEPE) を優先
+function getAsset(item) {
+    return item.asset || item.displayName || parseSymbol(item.symbol).base;
+}
+
+// PUMP判定: 比較元スナップ → 現在(最新スナップ)の順位上昇のみで評価
+// 基準 (上昇幅・新規ランクインとみなす順位) はサーバーのアラートと同じものを API の pumpRule で受け取る
+// スナップには rankingSize 位より下の銘柄も入っているので実際の前回順位で比較する
+// 比較時点で rankingSize 位より下(スナップに無い場合も含む) = 圏外からのエントリ扱い
+function getPumpInfo(current, previous, symbol, pumpRule) {
+    if (!previous || !pumpRule) return { score: 0, isNew: false, prevRank: null, curRank: null };
+    const { rankingSize } = pumpRule;
+    const curRank = current?.rankings[symbol]?.rank;
+    const prevRank = previous?.rankings[symbol]?.rank;
+    if (curRank == null) return { score: 0, isNew: false, prevRank, curRank };
+    if (prevRank == null || prevRank > rankingSize) {
+        return { score: (prevRank ?? rankingSize + 1) - curRank, isNew: true, prevRank, curRank };
+    }
+    return { score: prevRank - curRank, isNew: false, prevRank, curRank };
+}
+
+// ソートキー: 固定列のキー / `snap:<timestamp>` (その時点の順位) / `snapdiff:<timestamp>` (比較先からの順位変動)
+// スナップショット由来の値が無い銘柄は null を返し、並び順に関係なく末尾に回す
+function getSortValue(item, key, snapshotColumnMap) {
+    const [kind, timestamp] = key.split(':');
+    if (kind === 'snap' || kind === 'snapdiff') {
+        const col = snapshotColumnMap.get(Number(timestamp));
+        const entry = col?.snapshot.rankings[item.symbol];
+        if (!entry) return null;
+        if (kind === 'snap') return entry.rank;
+        const prev = col.compareTo?.rankings[item.symbol];
+        return prev ? prev.rank - entry.rank : null;
+    }
+    if (key === 'symbol') return String(item.symbol).toLowerCase();
+    if (key === 'chainName') return item.chainName ? item.chainName.toLowerCase() : null;
+    if (key === 'listingTime') return item.listingTime ?? null;
+    // 値が無い銘柄 (時価総額・ホルダー数の無いトークンなど) は 0 扱いにせず昇順・降順とも末尾へ
+    const value = parseFloat(item[key]);
+    return Number.isFinite(value) ? value : null;
+}
+
+// URL の数値パラメータ (空・不正値は null = 条件なし)
+function parseNumberParam(value) {
+    if (value == null || value === '') return null;
+    const n = Number(value);
+    return Number.isFinite(n) ? n : null;
+}
+
+function VolumeTable({
+    exchangeId,
+    data,
+    snapshots = NO_SNAPSHOTS,
+    intervalMinutes = 30,
+    freshness,
+    nativeCurrency,
+    conversion,
+    pumpRule,
+    total,
+    topN,
+    onTopNChange,
+    watchlist = [],
+    onToggleWatch,
+}) {
+    // 検索・絞り込み・ソート・非表示列は URL に載せて共有できるようにする
+    // ソートは URL に無ければ前回の設定 (localStorage) を使う
+    const [urlParams, setUrlParams] = useUrlParams();
+    const sortConfig = urlParams.sort
+        ? { key: urlParams.sort, direction: urlParams.dir === 'descending' ? 'descending' : 'ascending' }
+        : loadLocal(SORT_KEY, { key: null, direction: 'ascending' });
+    const setSortConfig = (next) => {
+        saveLocal(SORT_KEY, next);
+        setUrlParams({ sort: next.key, dir: next.direction });
+    };
+    // 現地通貨建て表示 (?cur=KRW)。USD 換算値に各スナップショット時点の換算レートを掛け戻して出す
+    const displayCurrency = nativeCurrency && urlParams.cur === nativeCurrency ? nativeCurrency : 'USD';
+    const toDisplay = (usdValue, rate = conversion?.rate) => {
+        if (usdValue == null || displayCurrency === 'USD') return usdValue;
+        return rate ? usdValue * rate : null;
+    };
+    const formatDisplayVolume = (value) => (value == null ? '-' : formatVolume(value, displayCurrency));
+    const hiddenColumns = useMemo(() => new Set((urlParams.hide || '').split(',').filter(Boolean)), [urlParams.hide]);
+    const isVisible = (key) => !hiddenColumns.has(key);
+    const [watchMode, setWatchModeState] = useState(() => loadLocal(WATCH_MODE_KEY, 'all'));
+    const setWatchMode = (next) => {
+        setWatchModeState(next);
+        saveLocal(WATCH_MODE_KEY, next);
+    };
+    const [selectedTimeframe, setSelectedTimeframe] = useState(30);
+    const [selectedSymbol, setSelectedSymbol] = useState(null);
+    const selectedItem = selectedSymbol ? data?.find(item => item.symbol === selectedSymbol) : null;
+    const closeDetail = useCallback(() => setSelectedSymbol(null), []);
+
+    // 取引所のスナップショット間隔より短いタイムフレームは比較できないので間隔に合わせる
+    const timeframes = TIMEFRAMES.filter(m => m >= intervalMinutes);
+    const timeframe = Math.max(selectedTimeframe, intervalMinutes);
+    const timeframeLabel = formatTimeframe(timeframe);
 
     // スマホ・Fold 7展開時(<=820px)では表示するスナップショットを最新の MOBILE_SNAPSHOT_LIMIT 件に絞る
     const [isMobile, setIsMobile] = useState(
@@ -21,47 +131,99 @@ function VolumeTable({ data, snapshots = [] }) {
 
     const displaySnapshots = isMobile ? snapshots.slice(-MOBILE_SNAPSHOT_LIMIT) : snapshots;
 
-    // PUMP判定: 30分前スナップ → 現在(最新スナップ)の順位上昇のみで評価
-    // 前回スナップに無い = 圏外(>100位)からのエントリ扱い
-    const getPumpInfo = (symbol) => {
-        if (snapshots.length < 2) return { score: 0, isNew: false, prevRank: null, curRank: null };
+    // 各スナップの順位差の比較先 = タイムフレーム分前のスナップ（表示外の古いスナップも参照する）
+    // 取得失敗で空のスナップ(missing)とは比較しない（全銘柄が圏外扱いになってしまう）
+    const compareTargets = useMemo(
+        () => snapshots.map((_, idx) => {
+            const target = findSnapshotAgo(snapshots, idx, timeframe, intervalMinutes);
+            return target?.source === 'missing' ? null : target;
+        }),
+        [snapshots, timeframe, intervalMinutes]
+    );
+
+    // PUMP判定は最新スナップとその比較先で行う。絞り込みにも使うので全銘柄分まとめて計算
+    const pumpMap = useMemo(() => {
         const current = snapshots[snapshots.length - 1];
-        const previous = snapshots[snapshots.length - 2];
-        const curRank = current?.rankings[symbol]?.rank;
-        const prevRank = previous?.rankings[symbol]?.rank;
-        if (curRank == null) return { score: 0, isNew: false, prevRank, curRank };
-        if (prevRank == null) {
-            return { score: 101 - curRank, isNew: true, prevRank: null, curRank };
-        }
-        return { score: prevRank - curRank, isNew: false, prevRank, curRank };
-    };
+        const pumpBase = compareTargets[compareTargets.length - 1];
+        return new Map((data || []).map(item => [item.symbol, getPumpInfo(current, pumpBase, item.symbol, pumpRule)]));
+    }, [data, snapshots, compareTargets, pumpRule]);
+
+    // 新規上場の判定はデータの取得時刻基準（上場日時 listingTime を持つ取引所のみ）
+    const listedDays = LISTED_DAYS_OPTIONS.includes(Number(urlParams.listedDays)) ? Number(urlParams.listedDays) : DEFAULT_LISTED_DAYS;
+    const referenceTime = freshness?.dataTimestamp ?? snapshots[snapshots.length - 1]?.timestamp ?? null;
+    const listedSince = referenceTime != null ? referenceTime - listedDays * DAY_MS : null;
+    const isNewlyListed = (item) => listedSince != null && item.listingTime != null && item.listingTime >= listedSince;
+    const chains = useMemo(
+        () => [...new Set((data || []).map(item => item.chainName).filter(Boolean))].sort(),
+        [data]
+    );
+    const hasListingTime = data?.some(item => item.listingTime != null);
 
+    const { q, minVol, chgMin, chgMax, only, chain } = urlParams;
     const sortedData = useMemo(() => {
         if (!data) return [];
-        let items = [...data];
+        const watched = new Set(watchlist);
+        const query = (q || '').trim().toLowerCase();
+        const minVolume = parseNumberParam(minVol);
+        const minChange = parseNumberParam(chgMin);
+        const maxChange = parseNumberParam(chgMax);
+        let items = data.filter(item => {
+            if (watchMode === 'only' && !watched.has(getAsset(item))) return false;
+            if (query && !item.symbol.toLowerCase().includes(query) && !getAsset(item).toLowerCase().includes(query)) return false;
+            if (minVolume != null && item.quoteVolume < minVolume * 1e6) return false;
+            if (minChange != null && item.priceChangePercent < minChange) return false;
+            if (maxChange != null && item.priceChangePercent > maxChange) return false;
+            if (chain && item.chainName !== chain) return false;
+            if (only === 'listed') {
+                if (listedSince == null || item.listingTime == null || item.listingTime < listedSince) return false;
+            } else if (only) {
+                const pump = pumpMap.get(item.symbol);
+                if (!pumpRule || pump.score < pumpRule.minRankJump) return false;
+                if (only === 'new' && !pump.isNew) return false;
+            }
+            return true;
+        });
         if (sortConfig.key !== null) {
+            const snapshotColumnMap = new Map(snapshots.map((snap, idx) => [snap.timestamp, {
+                snapshot: snap,
+                compareTo: compareTargets[idx],
+            }]));
             items.sort((a, b) => {
-                let valA = a[sortConfig.key];
-                let valB = b[sortConfig.key];
-                if (sortConfig.key === 'symbol') {
-                    valA = String(valA).toLowerCase();
-                    valB = String(valB).toLowerCase();
-                } else {
-                    valA = parseFloat(valA) || 0;
-                    valB = parseFloat(valB) || 0;
-                }
+                const valA = getSortValue(a, sortConfig.key, snapshotColumnMap);
+                const valB = getSortValue(b, sortConfig.key, snapshotColumnMap);
+                if (valA === null || valB === null) return (valA === null) - (valB === null);
                 if (valA < valB) return sortConfig.direction === 'ascending' ? -1 : 1;
                 if (valA > valB) return sortConfig.direction === 'ascending' ? 1 : -1;
                 return 0;
             });
         }
+        if (watchMode === 'pin') {
+            items = [
+                ...items.filter(item => watched.has(getAsset(item))),
+                ...items.filter(item => !watched.has(getAsset(item))),
+            ];
+        }
         return items;
-    }, [data, sortConfig]);
+    }, [data, snapshots, compareTargets, pumpMap, pumpRule, sortConfig.key, sortConfig.direction, watchlist, watchMode, q, minVol, chgMin, chgMax, only, chain, listedSince]);
+
+    // スナップショット列（時系列の古い順）。モバイルでは最新N件のみ表示
+    const isShowingFromStart = displaySnapshots.length === snapshots.length;
+    const hiddenCount = snapshots.length - displaySnapshots.length;
+    const snapshotColumns = displaySnapshots.map((snap, idx) => ({
+        key: `snap:${snap.timestamp}`,
+        diffKey: `snapdiff:${snap.timestamp}`,
+        label: idx === 0 && isShowingFromStart ? `${snap.time} (起動)` : snap.time,
+        snapshot: snap,
+        compareTo: compareTargets[hiddenCount + idx],
+        // live 以外 = 取得失敗時の列（fallback は前回データの複製、missing は空）
+        source: snap.source || 'live',
+    }));
 
-    const requestSort = (key) => {
-        let direction = 'ascending';
-        if (sortConfig.key === key && sortConfig.direction === 'ascending') {
-            direction = 'descending';
+    // 順位変動は上昇幅の大きい順から見たいので降順スタート
+    const requestSort = (key, firstDirection = 'ascending') => {
+        let direction = firstDirection;
+        if (sortConfig.key === key) {
+            direction = sortConfig.direction === 'ascending' ? 'descending' : 'ascending';
         }
         setSortConfig({ key, direction });
     };
@@ -71,30 +233,122 @@ function VolumeTable({ data, snapshots = [] }) {
         return sortConfig.direction;
     };
 
-    // 固定列
+    // 固定列（# と 銘柄 以外は列の表示切り替えで隠せる）
     const fixedColumns = [
         { key: 'rank', label: '#', sortable: false },
         { key: 'symbol', label: '銘柄' },
         { key: 'quoteVolume', label: '24h出来高' },
+        { key: 'volumeDelta', label: '出来高Δ', className: 'metric-col' },
+        { key: 'volumeAccel', label: '加速', className: 'metric-col' },
     ];
-
-    // スナップショット列（時系列の古い順）。モバイルでは最新N件のみ表示
-    const isShowingFromStart = displaySnapshots.length === snapshots.length;
-    const snapshotColumns = displaySnapshots.map((snap, idx) => ({
-        key: `snap_${idx}`,
-        label: idx === 0 && isShowingFromStart ? `${snap.time} (起動)` : snap.time,
-        snapshot: snap,
-    }));
+    // 建玉・資金調達率はデータに含まれる取引所(先物)のときだけ表示
+    const hasDerivatives = data?.some(item => item.openInterest != null || item.fundingRate != null);
+    if (hasDerivatives) {
+        fixedColumns.push(
+            { key: 'openInterest', label: '建玉', className: 'metric-col' },
+            { key: 'openInterestChangePercent', label: '建玉Δ', className: 'metric-col' },
+            { key: 'fundingRate', label: 'FR', className: 'metric-col' },
+        );
+    }
+    // キムチプレミアム（参照取引所の価格が取れている取引所のみ）
+    const hasPremium = data?.some(item => item.kimchiPremium != null);
+    if (hasPremium) {
+        fixedColumns.push({ key: 'kimchiPremium', label: 'キムプ', className: 'metric-col' });
+    }
+    // チェーン・時価総額・保有者・上場日（Binance Alpha のトークン情報など、データに含まれる取引所のみ）
+    const hasChain = chains.length > 0;
+    const hasMarketCap = data?.some(item => item.marketCap != null);
+    const hasHolders = data?.some(item => item.holders != null);
+    if (hasChain) fixedColumns.push({ key: 'chainName', label: 'チェーン', className: 'metric-col' });
+    if (hasMarketCap) fixedColumns.push({ key: 'marketCap', label: '時価総額', className: 'metric-col' });
+    if (hasHolders) fixedColumns.push({ key: 'holders', label: '保有者', className: 'metric-col' });
+    if (hasListingTime) fixedColumns.push({ key: 'listingTime', label: '上場日', className: 'metric-col' });
+    const chooserColumns = [
+        ...fixedColumns.filter(col => col.key !== 'rank' && col.key !== 'symbol'),
+        { key: 'snapshots', label: 'スナップショット' },
+    ];
+    const visibleFixedColumns = fixedColumns.filter(col => isVisible(col.key));
+    const visibleSnapshotColumns = isVisible('snapshots') ? snapshotColumns : [];
 
     return (
         <div className="table-wrapper">
+            {freshness?.stale && (
+                <div className="stale-banner">
+                    ⚠️ {formatDateTime(freshness.failingSince)} から取得に失敗しています（{freshness.consecutiveFailures}回連続）。
+                    表示中のデータは {formatDateTime(freshness.dataTimestamp)} 時点のものです
+                    {freshness.lastError && <span className="stale-error">{freshness.lastError}</span>}
+                </div>
+            )}
+            <div className="timeframe-bar">
+                <span className="timeframe-label">比較</span>
+                {timeframes.map(m => (
+                    <button
+                        key={m}
+                        className={`timeframe-btn ${m === timeframe ? 'active' : ''}`}
+                        onClick={() => setSelectedTimeframe(m)}
+                    >
+                        {formatTimeframe(m)}
+                    </button>
+                ))}
+                {onTopNChange && (
+                    <>
+                        <span className="timeframe-label watch-modes">表示</span>
+                        {TOP_N_OPTIONS.map(n => (
+                            <button
+                                key={n}
+                                className={`timeframe-btn ${n === topN ? 'active' : ''}`}
+                                onClick={() => onTopNChange(n)}
+                            >
+                                {n === 'all' ? `全${total ?? ''}銘柄` : `上位${n}`}
+                            </button>
+                        ))}
+                    </>
+                )}
+                {nativeCurrency && (
+                    <>
+                        <span className="timeframe-label watch-modes">通貨</span>
+                        {['USD', nativeCurrency].map(cur => (
+                            <button
+                                key={cur}
+                                className={`timeframe-btn ${cur === displayCurrency ? 'active' : ''}`}
+                                onClick={() => setUrlParams({ cur: cur === 'USD' ? null : cur })}
+                                title={conversion ? `1 USD = ${conversion.rate.toLocaleString('en-US', { maximumFractionDigits: 2 })} ${conversion.currency} (${conversion.source})` : undefined}
+                            >
+                                {cur}
+                            </button>
+                        ))}
+                    </>
+                )}
+                <span className="timeframe-label watch-modes">ウォッチ</span>
+                {WATCH_MODES.map(mode => (
+                    <button
+                        key={mode.id}
+                        className={`timeframe-btn ${mode.id === watchMode ? 'active' : ''}`}
+                        onClick={() => setWatchMode(mode.id)}
+                    >
+                        {mode.label}
+                    </button>
+                ))}
+            </div>
+            <TableFilters
+                params={urlParams}
+                onChange={setUrlParams}
+                columns={chooserColumns}
+                hidden={hiddenColumns}
+                chains={chains}
+                listedDaysOptions={hasListingTime ? LISTED_DAYS_OPTIONS : null}
+                listedDays={listedDays}
+            />
+            {data && sortedData.length === 0 && (
+                <div className="filter-empty">条件に一致する銘柄がありません</div>
+            )}
             <table className="volume-table">
                 <thead>
                     <tr>
-                        {fixedColumns.map(col => (
+                        {visibleFixedColumns.map(col => (
                             <th
                                 key={col.key}
-                                className={`${col.sortable !== false ? 'sortable' : ''} ${getSortClass(col.key)}`}
+                                className={`${col.sortable !== false ? 'sortable' : ''} ${getSortClass(col.key)} ${col.className || ''}`}
                                 onClick={() => col.sortable !== false && requestSort(col.key)}
                             >
                                 <span className="th-content">
@@ -107,29 +361,62 @@ function VolumeTable({ data, snapshots = [] }) {
                                 </span>
                             </th>
                         ))}
-                        {snapshotColumns.map(col => (
-                            <th key={col.key} className="snapshot-header">
-                                <span className="th-content">{col.label}</span>
+                        {visibleSnapshotColumns.map(col => (
+                            <th
+                                key={col.key}
+                                className={`snapshot-header sortable snapshot-${col.source} ${getSortClass(col.key)}`}
+                                onClick={() => requestSort(col.key)}
+                                title={col.source === 'live'
+                                    ? 'この時点の順位で並び替え'
+                                    : `${col.source === 'fallback' ? '取得失敗のため前回データを表示' : '取得失敗'}: ${col.snapshot.error || ''}`}
+                            >
+                                <span className="th-content">
+                                    {col.label}
+                                    {sortConfig.key === col.key && (
+                                        <span className="sort-arrow">
+                                            {sortConfig.direction === 'ascending' ? '▲' : '▼'}
+                                        </span>
+                                    )}
+                                    <button
+                                        className={`snap-sort-diff ${sortConfig.key === col.diffKey ? 'active' : ''}`}
+                                        title={`${timeframeLabel}からの順位変動で並び替え`}
+                                        onClick={(e) => {
+                                            e.stopPropagation();
+                                            requestSort(col.diffKey, 'descending');
+                                        }}
+                                    >
+                                        Δ{sortConfig.key === col.diffKey && (sortConfig.direction === 'ascending' ? '▲' : '▼')}
+                                    </button>
+                                </span>
                             </th>
                         ))}
                     </tr>
                 </thead>
                 <tbody>
-                    {sortedData.map((item, index) => {
+                    {sortedData.map(item => {
                         const { base, quote } = parseSymbol(item.symbol);
                         const displayName = item.displayName || base;
-                        const rank = index + 1;
+                        const asset = getAsset(item);
+                        const isWatched = watchlist.includes(asset);
+                        // 並び替え・絞り込み後の表示位置ではなく出来高順位を出す
+                        const rank = data.indexOf(item) + 1;
                         const changePercent = item.priceChangePercent;
                         const changeClass = changePercent >= 0 ? 'positive' : 'negative';
 
-                        const pump = getPumpInfo(item.symbol);
-                        const isPump = pump.score >= PUMP_THRESHOLD;
+                        const isNewListing = isNewlyListed(item);
+
+                        const pump = pumpMap.get(item.symbol);
+                        const isPump = pumpRule != null && pump.score >= pumpRule.minRankJump;
                         const pumpTitle = pump.isNew
-                            ? `30分前は圏外 (>100位) → 現在 #${pump.curRank}`
-                            : `30分前 #${pump.prevRank} → 現在 #${pump.curRank} (+${pump.score})`;
+                            ? `${timeframeLabel}は圏外 (${pump.prevRank ? `#${pump.prevRank}` : '>100位'}) → 現在 #${pump.curRank}`
+                            : `${timeframeLabel} #${pump.prevRank} → 現在 #${pump.curRank} (+${pump.score})`;
 
                         return (
-                            <tr key={item.symbol} className={isPump ? 'pump-row' : ''}>
+                            <tr
+                                key={item.symbol}
+                                className={`clickable-row ${isPump ? 'pump-row' : ''} ${item.futuresSymbol ? 'futures-row' : ''}`}
+                                onClick={() => setSelectedSymbol(item.symbol)}
+                            >
                                 <td>
                                     <span className={`rank-badge ${rank <= 3 ? `rank-${rank}` : ''}`}>
                                         {rank}
@@ -137,33 +424,116 @@ function VolumeTable({ data, snapshots = [] }) {
                                 </td>
                                 <td>
                                     <div className="symbol-cell">
+                                        {onToggleWatch && (
+                                            <button
+                                                className={`watch-star ${isWatched ? 'active' : ''}`}
+                                                title={isWatched ? 'ウォッチリストから外す' : 'ウォッチリストに追加'}
+                                                onClick={(e) => {
+                                                    e.stopPropagation();
+                                                    onToggleWatch(asset);
+                                                }}
+                                            >
+                                                {isWatched ? '★' : '☆'}
+                                            </button>
+                                        )}
                                         {isPump && (
                                             <span className="pump-icon" title={pumpTitle}>
                                                 {pump.isNew ? '🆕' : '🔥'}
                                             </span>
                                         )}
-                                        <span className="symbol-base">{displayName}</span>
-                                        <span className="symbol-quote">/ {quote || 'USDT'}</span>
+                                        {item.volumeSpike && (
+                                            <span className="pump-icon" title={`出来高急増: 前回比 ${formatVolumeDelta(item.volumeDelta)} (直近平均の${formatAccel(item.volumeAccel)})`}>
+                                                📈
+                                            </span>
+                                        )}
+                                        <span
+                                            className="symbol-base"
+                                            title={asset !== displayName ? `${asset}${item.multiplier ? ` ×${item.multiplier.toLocaleString()}` : ''} として他の取引所と突き合わせ` : undefined}
+                                        >
+                                            {displayName}
+                                        </span>
+                                        <span className="symbol-quote">/ {displayCurrency !== 'USD' ? displayCurrency : quote || 'USDT'}</span>
+                                        {isNewListing && (
+                                            <span className="listing-badge" title={`${formatDate(item.listingTime)} 上場 (${listedDays}日以内)`}>
+                                                NEW
+                                            </span>
+                                        )}
+                                        {item.futuresSymbol && (
+                                            <span
+                                                className="futures-badge"
+                                                title={`Binance先物 ${item.futuresSymbol}${item.futuresListingTime ? ` (${formatDate(item.futuresListingTime)} 上場)` : ''}`}
+                                            >
+                                                先物
+                                            </span>
+                                        )}
                                     </div>
                                 </td>
-                                <td className="volume-cell">{formatVolume(item.quoteVolume)}</td>
+                                {isVisible('quoteVolume') && (
+                                    <td className="volume-cell">
+                                        {formatDisplayVolume(displayCurrency === 'KRW' && item.quoteVolumeKrw != null ? item.quoteVolumeKrw : toDisplay(item.quoteVolume))}
+                                    </td>
+                                )}
+                                {isVisible('volumeDelta') && (
+                                    <td className={`metric-col ${item.volumeDelta == null ? 'count-cell' : item.volumeDelta >= 0 ? 'positive' : 'negative'}`}>
+                                        {formatVolumeDelta(toDisplay(item.volumeDelta), displayCurrency)}
+                                    </td>
+                                )}
+                                {isVisible('volumeAccel') && (
+                                    <td className={`metric-col count-cell ${item.volumeSpike ? 'spike-cell' : ''}`}>{formatAccel(item.volumeAccel)}</td>
+                                )}
+                                {hasDerivatives && isVisible('openInterest') && (
+                                    <td className="metric-col count-cell">
+                                        {item.openInterest != null ? formatVolume(item.openInterest) : '-'}
+                                    </td>
+                                )}
+                                {hasDerivatives && isVisible('openInterestChangePercent') && (
+                                    <td
+                                        className={`metric-col ${item.openInterestChangePercent == null ? 'count-cell' : item.openInterestChangePercent >= 0 ? 'positive' : 'negative'}`}
+                                        title={item.openInterestChange != null ? formatVolumeDelta(item.openInterestChange) : undefined}
+                                    >
+                                        {item.openInterestChangePercent != null ? formatPercent(item.openInterestChangePercent) : '-'}
+                                    </td>
+                                )}
+                                {hasDerivatives && isVisible('fundingRate') && (
+                                    <td className={`metric-col ${item.fundingRate == null ? 'count-cell' : item.fundingRate >= 0 ? 'positive' : 'negative'}`}>
+                                        {formatFundingRate(item.fundingRate)}
+                                    </td>
+                                )}
+                                {hasPremium && isVisible('kimchiPremium') && (
+                                    <td className={`metric-col ${item.kimchiPremium == null ? 'count-cell' : item.kimchiPremium >= 0 ? 'positive' : 'negative'}`}>
+                                        {item.kimchiPremium != null ? formatPercent(item.kimchiPremium) : '-'}
+                                    </td>
+                                )}
+
+                                {hasChain && isVisible('chainName') && (
+                                    <td className="metric-col count-cell">{item.chainName || '-'}</td>
+                                )}
+                                {hasMarketCap && isVisible('marketCap') && (
+                                    <td className="metric-col count-cell">
+                                        {item.marketCap != null ? formatVolume(item.marketCap) : '-'}
+                                    </td>
+                                )}
+                                {hasHolders && isVisible('holders') && (
+                                    <td className="metric-col count-cell">{formatCount(item.holders)}</td>
+                                )}
+                                {hasListingTime && isVisible('listingTime') && (
+                                    <td className="metric-col count-cell">{formatDate(item.listingTime)}</td>
+                                )}
 
                                 {/* スナップショット列 */}
-                                {snapshotColumns.map((col, colIdx) => {
+                                {visibleSnapshotColumns.map(col => {
                                     const snapData = col.snapshot.rankings[item.symbol];
                                     if (!snapData) {
-                                        return <td key={col.key} className="snapshot-td"><span className="snap-muted">-</span></td>;
+                                        return <td key={col.key} className={`snapshot-td snapshot-${col.source}`}><span className="snap-muted">-</span></td>;
                                     }
-                                    // 前回スナップショット(=左隣の列、30分前)との順位差。最左(=最古)はリファレンス無しなので0。
+                                    // タイムフレーム分前のスナップショットとの順位差。比較先が無い(=古すぎる)列は0。
                                     let rankDiff = 0;
-                                    if (colIdx > 0) {
-                                        const prevSnap = snapshotColumns[colIdx - 1].snapshot.rankings[item.symbol];
-                                        if (prevSnap) {
-                                            rankDiff = prevSnap.rank - snapData.rank; // 正=上昇、負=下降
-                                        }
+                                    const prevSnap = col.compareTo?.rankings[item.symbol];
+                                    if (prevSnap) {
+                                        rankDiff = prevSnap.rank - snapData.rank; // 正=上昇、負=下降
                                     }
                                     return (
-                                        <td key={col.key} className="snapshot-td">
+                                        <td key={col.key} className={`snapshot-td snapshot-${col.source}`}>
                                             <div className="snap-content">
                                                 {rankDiff !== 0 && (
                                                     <span className={`snap-diff ${rankDiff > 0 ? 'up' : 'down'}`}>
@@ -172,7 +542,9 @@ function VolumeTable({ data, snapshots = [] }) {
                                                 )}
                                                 <div className="snap-stack">
                                                     <span className="snap-rank">#{snapData.rank}</span>
-                                                    <span className="snap-volume">{formatVolume(snapData.volume)}</span>
+                                                    <span className="snap-volume">
+                                                        {formatDisplayVolume(toDisplay(snapData.volume, col.snapshot.conversion?.rate ?? conversion?.rate))}
+                                                    </span>
                                                 </div>
                                             </div>
                                         </td>
@@ -183,6 +555,18 @@ function VolumeTable({ data, snapshots = [] }) {
                     })}
                 </tbody>
             </table>
+
+            {selectedItem && (
+                <SymbolDetail
+                    key={selectedItem.symbol}
+                    exchangeId={exchangeId}
+                    item={selectedItem}
+                    snapshots={snapshots}
+                    displayCurrency={displayCurrency}
+                    conversion={conversion}
+                    onClose={closeDetail}
+                />
+            )}
         </div>
     );
 }
@@ -1,4 +1,4 @@
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useEffect, useRef } from 'react';
 
 /**
  * 数値フォーマット関数群
@@ -14,6 +14,26 @@ export function formatVolume(value, currency = 'USD') {
     return `${prefix}${value.toFixed(2)}`;
 }
 
+// 出来高増減のフォーマット（+$1.20M / -$340.00K）
+export function formatVolumeDelta(value, currency = 'USD') {
+    if (value == null) return '-';
+    const sign = value >= 0 ? '+' : '-';
+    return `${sign}${formatVolume(Math.abs(value), currency)}`;
+}
+
+// 出来高加速度のフォーマット（直近平均比の倍率）
+export function formatAccel(value) {
+    if (value == null) return '-';
+    return `×${value.toFixed(1)}`;
+}
+
+// 資金調達率のフォーマット（0.0001 → +0.0100%）
+export function formatFundingRate(rate) {
+    if (rate == null) return '-';
+    const sign = rate >= 0 ? '+' : '';
+    return `${sign}${(rate * 100).toFixed(4)}%`;
+}
+
 // 価格のフォーマット
 export function formatPrice(price, currency = 'USD') {
     if (currency === 'KRW') {
@@ -40,6 +60,29 @@ export function formatCount(count) {
     return count.toLocaleString();
 }
 
+// エポックミリ秒 → '10/19 22:30' (JST)
+export function formatDateTime(timestamp) {
+    if (timestamp == null) return '-';
+    return new Date(timestamp).toLocaleString('ja-JP', {
+        timeZone: 'Asia/Tokyo',
+        month: 'numeric',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+    });
+}
+
+// エポックミリ秒 → '2025/10/09' (JST)。上場日など年をまたぐ日付用
+export function formatDate(timestamp) {
+    if (timestamp == null) return '-';
+    return new Date(timestamp).toLocaleDateString('ja-JP', {
+        timeZone: 'Asia/Tokyo',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+    });
+}
+
 // シンボル表示名のパース
 export function parseSymbol(symbol) {
     const suffixes = ['USDT', 'KRW'];
@@ -54,74 +97,231 @@ export function parseSymbol(symbol) {
     return { base: symbol, quote: '' };
 }
 
-// ── タブ定義 ──
-export const TABS = [
-    {
-        id: 'binance-futures',
-        label: 'Binance先物',
-        shortLabel: 'BN先物',
-        endpoint: '/api/volume/top100',
-        currency: 'USD',
-        icon: '₿',
-        color: '#f0b90b',
-        description: 'Binance USDT-M 先物',
-        badgeText: 'TOP 100',
-    },
-    {
-        id: 'bitget-spot',
-        label: 'Bitget現物',
-        shortLabel: 'Bitget',
-        endpoint: '/api/bitget/spot/top100',
-        currency: 'USD',
-        icon: '🟢',
-        color: '#00d991',
-        description: 'Bitget 現物',
-        badgeText: 'TOP 100',
-    },
-    {
-        id: 'upbit-spot',
-        label: 'Upbit現物',
-        shortLabel: 'Upbit',
-        endpoint: '/api/upbit/spot/top100',
-        currency: 'USD',
-        icon: '🟣',
-        color: '#093687',
-        description: 'Upbit 現物 (USD換算)',
-        badgeText: 'TOP 100',
-    },
-    {
-        id: 'binance-alpha',
-        label: 'Binance Alpha',
-        shortLabel: 'Alpha',
-        endpoint: '/api/binance/alpha/top100',
-        currency: 'USD',
-        icon: '⚡',
-        color: '#e040fb',
-        description: 'Binance Alpha 先物',
-        badgeText: 'ALPHA',
-    },
-];
-
 // ── データ取得カスタムフック ──
 const API_BASE = import.meta.env.DEV ? 'http://localhost:3001' : '';
+const STREAM_RECONNECT_BASE_MS = 2000;
+const STREAM_RECONNECT_MAX_MS = 60000;
+
+// ── タイムフレーム ──
+// スナップショット比較の基準（N分前）。取引所のスナップショット間隔より短いものは選べない
+export const TIMEFRAMES = [5, 15, 30, 60];
+
+export function formatTimeframe(minutes) {
+    if (minutes >= 60 && minutes % 60 === 0) return `${minutes / 60}時間前`;
+    return `${minutes}分前`;
+}
+
+// snapshots[index] から minutes 分前のスナップショットを探す
+// 取得のズレを吸収するため間隔の半分までの誤差は許容。該当が無ければ（再起動で欠けた等）null
+export function findSnapshotAgo(snapshots, index, minutes, intervalMinutes = 30) {
+    const base = snapshots[index];
+    if (!base) return null;
+    const target = base.timestamp - minutes * 60000;
+    const tolerance = (intervalMinutes * 60000) / 2;
+    for (let i = index - 1; i >= 0; i--) {
+        const ts = snapshots[i].timestamp;
+        if (ts > target + tolerance) continue;
+        return ts >= target - tolerance ? snapshots[i] : null;
+    }
+    return null;
+}
+
+// ── API ──
+export function apiUrl(path) {
+    return `${API_BASE}${path}`;
+}
+
+export async function fetchJson(path, options) {
+    const response = await fetch(apiUrl(path), options);
+    if (!response.ok) throw new Error(`HTTP error ${response.status}`);
+    return response.json();
+}
+
+// ── localStorage（プライベートモード等で使えない場合は黙って無視） ──
+export function loadLocal(key, fallback) {
+    try {
+        const raw = localStorage.getItem(key);
+        return raw === null ? fallback : JSON.parse(raw);
+    } catch {
+        return fallback;
+    }
+}
 
-export function useExchangeData() {
+export function saveLocal(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch {
+        // 保存できなくても表示には影響しない
+    }
+}
+
+// ── URL クエリに載せる表示状態（共有用） ──
+// 複数コンポーネントが別々のキーを持てるよう、更新時は常に現在の URL にマージする
+function readUrlParams() {
+    return Object.fromEntries(new URLSearchParams(window.location.search));
+}
+
+export function useUrlParams() {
+    const [params, setParams] = useState(readUrlParams);
+
+    const updateParams = useCallback((patch) => {
+        const next = { ...readUrlParams(), ...patch };
+        for (const key of Object.keys(next)) {
+            if (next[key] === null || next[key] === undefined || next[key] === '') delete next[key];
+        }
+        const query = new URLSearchParams(next).toString();
+        window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+        setParams(next);
+    }, []);
+
+    return [params, updateParams];
+}
+
+// ── ウォッチリスト ──
+// 基軸通貨名(BTC 等。サーバーの銘柄対応表で正規化した asset)の集合。サーバーにトークン単位で保存し、localStorage にも常に控えを持つ
+// 別端末では同じトークンを設定すれば同じリストになる
+const WATCHLIST_KEY = 'watchlist.symbols';
+const WATCHLIST_TOKEN_KEY = 'watchlist.token';
+
+function getWatchlistToken() {
+    let token = loadLocal(WATCHLIST_TOKEN_KEY, null);
+    if (!token) {
+        // randomUUID は非 https では使えないのでその場合は Math.random で代用
+        token = typeof crypto !== 'undefined' && crypto.randomUUID
+            ? crypto.randomUUID().replace(/-/g, '')
+            : Array.from({ length: 32 }, () => Math.floor(Math.random() * 16).toString(16)).join('');
+        saveLocal(WATCHLIST_TOKEN_KEY, token);
+    }
+    return token;
+}
+
+export function useWatchlist() {
+    const [symbols, setSymbols] = useState(() => loadLocal(WATCHLIST_KEY, []));
+    const [token, setTokenState] = useState(getWatchlistToken);
+    const [synced, setSynced] = useState(false);
+
+    // トークンが変わったらサーバーのリストを正とする（空ならローカルの控えをアップロード）
+    useEffect(() => {
+        let cancelled = false;
+        fetchJson('/api/watchlist', { headers: { 'X-Watchlist-Token': token } })
+            .then(async result => {
+                if (cancelled) return;
+                if (result.symbols.length) {
+                    setSymbols(result.symbols);
+                    saveLocal(WATCHLIST_KEY, result.symbols);
+                } else {
+                    const local = loadLocal(WATCHLIST_KEY, []);
+                    if (local.length) await pushWatchlist(token, local);
+                }
+                setSynced(true);
+            })
+            .catch(() => { if (!cancelled) setSynced(false); });
+        return () => { cancelled = true; };
+    }, [token]);
+
+    const update = useCallback((next) => {
+        setSymbols(next);
+        saveLocal(WATCHLIST_KEY, next);
+        pushWatchlist(token, next)
+            .then(() => setSynced(true))
+            .catch(() => setSynced(false));
+    }, [token]);
+
+    const toggle = useCallback((asset) => {
+        update(symbols.includes(asset) ? symbols.filter(s => s !== asset) : [...symbols, asset]);
+    }, [symbols, update]);
+
+    const setToken = useCallback((next) => {
+        if (!/^[A-Za-z0-9_-]{8,128}$/.test(next)) return false;
+        saveLocal(WATCHLIST_TOKEN_KEY, next);
+        setTokenState(next);
+        return true;
+    }, []);
+
+    return { symbols, toggle, token, setToken, synced };
+}
+
+function pushWatchlist(token, symbols) {
+    return fetchJson('/api/watchlist', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', 'X-Watchlist-Token': token },
+        body: JSON.stringify({ symbols }),
+    });
+}
+
+// ── タブ定義 ──
+// 取引所の一覧はサーバーのアダプタレジストリ (/api/exchanges) から取得する
+// 「全取引所」タブだけはフロント側の固定定義（取引所横断の集計ビュー）
+export const AGGREGATE_TAB = {
+    id: 'all',
+    label: '全取引所',
+    shortLabel: '全体',
+    endpoint: '/api/aggregate',
+    currency: 'USD',
+    icon: '🌐',
+    color: '#3b82f6',
+    description: '全取引所 合算',
+    badgeText: 'ALL',
+};
+
+export function useExchangeTabs() {
+    const [tabs, setTabs] = useState([]);
+    const [error, setError] = useState(null);
+
+    const [reloadCount, setReloadCount] = useState(0);
+
+    useEffect(() => {
+        let cancelled = false;
+        fetchJson('/api/exchanges')
+            .then(result => {
+                if (cancelled) return;
+                const exchangeTabs = result.exchanges || [];
+                setTabs(exchangeTabs.length ? [...exchangeTabs, AGGREGATE_TAB] : []);
+                setError(null);
+            })
+            .catch(err => { if (!cancelled) setError(err.message); });
+        return () => { cancelled = true; };
+    }, [reloadCount]);
+
+    const reload = useCallback(() => setReloadCount(n => n + 1), []);
+
+    return { tabs, error, reload };
+}
+
+// 取引所タブの表示件数（上位N）。サーバーは全銘柄を保持しているので all も選べる
+export const TOP_N_OPTIONS = [50, 100, 200, 'all'];
+const TOP_N_KEY = 'exchangeData.topN';
+
+// onListing: SSE で上場・上場廃止のイベントを受け取ったときに呼ぶ
+export function useExchangeData(tabs, { onListing } = {}) {
+    const [topN, setTopNState] = useState(() => loadLocal(TOP_N_KEY, 100));
+    const topNRef = useRef(topN);
     const [dataMap, setDataMap] = useState({});
     const [loadingMap, setLoadingMap] = useState({});
     const [errorMap, setErrorMap] = useState({});
     const [lastUpdateMap, setLastUpdateMap] = useState({});
 
+    const tabsRef = useRef(tabs);
+    useEffect(() => {
+        tabsRef.current = tabs;
+    }, [tabs]);
+    // SSE を張り直さないよう ref 経由で呼ぶ
+    const onListingRef = useRef(onListing);
+    useEffect(() => {
+        onListingRef.current = onListing;
+    }, [onListing]);
+
     const fetchData = useCallback(async (tabId) => {
-        const tab = TABS.find(t => t.id === tabId);
+        const tab = tabsRef.current.find(t => t.id === tabId);
         if (!tab) return;
 
         setLoadingMap(prev => ({ ...prev, [tabId]: true }));
         setErrorMap(prev => ({ ...prev, [tabId]: null }));
 
         try {
-            const response = await fetch(`${API_BASE}${tab.endpoint}`);
-            if (!response.ok) throw new Error(`HTTP error ${response.status}`);
-            const result = await response.json();
+            // 集計タブは件数指定なし
+            const query = tabId === AGGREGATE_TAB.id ? '' : `?limit=${topNRef.current}`;
+            const result = await fetchJson(`${tab.endpoint}${query}`);
             setDataMap(prev => ({ ...prev, [tabId]: result }));
             setLastUpdateMap(prev => ({ ...prev, [tabId]: new Date() }));
         } catch (err) {
@@ -131,5 +331,109 @@ export function useExchangeData() {
         }
     }, []);
 
-    return { dataMap, loadingMap, errorMap, lastUpdateMap, fetchData };
+    // 一度表示したタブだけをサーバープッシュで更新する（未表示タブはタブ切替時に取得）
+    const loadedTabsRef = useRef(new Set());
+    useEffect(() => {
+        loadedTabsRef.current = new Set(Object.keys(dataMap));
+    }, [dataMap]);
+
+    // 新スナップショット通知 (SSE) を購読。切断されたら指数バックオフで再接続し、
+    // 再接続できたら取りこぼし分を埋めるため表示済みタブを取り直す
+    useEffect(() => {
+        if (typeof EventSource === 'undefined') return;
+        let source = null;
+        let retryTimer = null;
+        let attempt = 0;
+        let closed = false;
+        let hadError = false;
+
+        const connect = () => {
+            source = new EventSource(`${API_BASE}/api/stream`);
+            source.onopen = () => {
+                attempt = 0;
+                if (hadError) {
+                    hadError = false;
+                    loadedTabsRef.current.forEach(tabId => fetchData(tabId));
+                }
+            };
+            source.addEventListener('snapshot', (event) => {
+                try {
+                    const { exchange } = JSON.parse(event.data);
+                    if (loadedTabsRef.current.has(exchange)) fetchData(exchange);
+                    if (loadedTabsRef.current.has(AGGREGATE_TAB.id)) fetchData(AGGREGATE_TAB.id);
+                } catch {
+                    // 壊れたイベントは無視
+                }
+            });
+            source.addEventListener('listing', (event) => {
+                try {
+                    onListingRef.current?.(JSON.parse(event.data));
+                } catch {
+                    // 壊れたイベントは無視
+                }
+            });
+            source.onerror = () => {
+                hadError = true;
+                // CONNECTING 中はブラウザが自動再接続するので任せる。CLOSED になった場合のみ自前で張り直す
+                if (source.readyState !== EventSource.CLOSED || closed) return;
+                const delay = Math.min(STREAM_RECONNECT_BASE_MS * 2 ** attempt, STREAM_RECONNECT_MAX_MS);
+                attempt += 1;
+                retryTimer = setTimeout(connect, delay);
+            };
+        };
+
+        connect();
+        return () => {
+            closed = true;
+            clearTimeout(retryTimer);
+            source?.close();
+        };
+    }, [fetchData]);
+
+    // 件数を変えたら表示済みの取引所タブを取り直す
+    const setTopN = useCallback((next) => {
+        topNRef.current = next;
+        setTopNState(next);
+        saveLocal(TOP_N_KEY, next);
+        loadedTabsRef.current.forEach(tabId => {
+            if (tabId !== AGGREGATE_TAB.id) fetchData(tabId);
+        });
+    }, [fetchData]);
+
+    return { dataMap, loadingMap, errorMap, lastUpdateMap, fetchData, topN, setTopN };
+}
+
+// ── 上場・上場廃止のフィード ──
+// 直近 LISTING_FEED_DAYS 日分を取得し、以降は SSE (useExchangeData の onListing) で届いた分を先頭に足す
+// SSE の切断中に取りこぼした分は LISTING_REFRESH_MS ごとの取り直しで埋める
+const LISTING_FEED_DAYS = 7;
+const LISTING_FEED_LIMIT = 50;
+const LISTING_REFRESH_MS = 5 * 60 * 1000;
+
+export function useListingEvents() {
+    const [events, setEvents] = useState([]);
+
+    useEffect(() => {
+        let cancelled = false;
+        const load = () => {
+            const since = Date.now() - LISTING_FEED_DAYS * 24 * 60 * 60 * 1000;
+            fetchJson(`/api/events?since=${since}&limit=${LISTING_FEED_LIMIT}`)
+                .then(result => { if (!cancelled) setEvents(result.events || []); })
+                .catch(() => {
+                    // フィードは補助表示なので失敗しても次の取り直しを待つ
+                });
+        };
+        load();
+        const timer = setInterval(load, LISTING_REFRESH_MS);
+        return () => {
+            cancelled = true;
+            clearInterval(timer);
+        };
+    }, []);
+
+    const add = useCallback((event) => {
+        setEvents(prev => (prev.some(e => e.id === event.id) ? prev : [event, ...prev].slice(0, LISTING_FEED_LIMIT)));
+    }, []);
+
+    return { events, add };
 }